@@ -4,7 +4,11 @@ const fs = require("fs");
 const path = require("path");
 const https = require("https");
 const http = require("http");
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
 const { spawnSync } = require("child_process");
+const { promisify } = require("util");
 
 // ─── Config ───────────────────────────────────────────────────────────
 
@@ -16,6 +20,82 @@ const DEFAULT_CONFIG = {
     avatarsDir: "./avatars",
     cert: "./certs/cert.pem",
     key: "./certs/key.pem",
+    // "self-signed" | "files" | "none" (обычный ws за reverse proxy)
+    tls: "self-signed",
+    certSans: ["IP:127.0.0.1", "IP:::1", "DNS:localhost"],
+    trustProxy: false,
+    roomOwners: {},
+    openControl: false,
+    stateFile: "./state.json",
+    stateSaveIntervalMs: 30000,
+    adminToken: "",
+    roomsRegistry: "./rooms.json",
+    allowRoomCreation: true,
+    defaultRoomTtl: 3600,
+    // Лимиты на create_room: всего динамических комнат и на одного владельца
+    maxRooms: 100,
+    maxRoomsPerClient: 3,
+    tokenSecret: "",
+    tokenTtl: 86400,
+    requireToken: false,
+    resumeGraceMs: 15000,
+    pingIntervalMs: 5000,
+    pingTimeoutMs: 15000,
+    idleKickMs: 0,
+    // rate — токенов в секунду, burst — ёмкость корзины
+    rateLimits: {
+        client: {
+            control: { rate: 2, burst: 10 },
+            avatar: { rate: 0.05, burst: 3 },
+            message: { rate: 10, burst: 30 },
+            chat: { rate: 1, burst: 5 },
+        },
+        ip: {
+            control: { rate: 5, burst: 20 },
+            avatar: { rate: 0.2, burst: 6 },
+            message: { rate: 30, burst: 90 },
+            chat: { rate: 3, burst: 15 },
+            // Неверные пароли комнат
+            auth: { rate: 0.1, burst: 5 },
+        },
+    },
+    maxRateViolations: 30,
+    maxConnectionsPerIp: 10,
+    maxPayloadBytes: 10 * 1024 * 1024,
+    avatarFetch: {
+        maxRedirects: 3,
+        maxBytes: 5 * 1024 * 1024,
+        timeoutMs: 10000,
+        allowPrivateAddresses: false,
+    },
+    inlineAvatars: false,
+    chatHistorySize: 100,
+    maxChatLength: 500,
+    playHistorySize: 50,
+    voteSkipRatio: 0.5,
+    maxSuggestions: 50,
+    metricsToken: "",
+    // destinations: "console" и/или пути к файлам
+    logging: {
+        level: "info",
+        format: "text",
+        destinations: ["console"],
+    },
+    auditDir: "./audit",
+    auditMaxEntries: 1000,
+    // Больше — файл комнаты уезжает в <roomId>.jsonl.1
+    auditMaxFileBytes: 5 * 1024 * 1024,
+    // Подсказка клиентам в server_shutdown (0 — без подсказки)
+    shutdownReconnectAfterMs: 5000,
+    bansFile: "./bans.json",
+    // "memory" — один процесс, "redis" — несколько узлов через pub/sub
+    backplane: {
+        type: "memory",
+        url: "redis://127.0.0.1:6379",
+        prefix: "listen-along",
+        // Не дождались Redis за это время — start() падает
+        connectTimeoutMs: 10000,
+    },
 };
 
 function loadConfig() {
@@ -35,85 +115,363 @@ function loadConfig() {
     }
 }
 
-const config = loadConfig();
-const PORT = config.port;
-const ROOMS_FILE = path.resolve(__dirname, config.rooms);
-const AVATARS_DIR = path.resolve(__dirname, config.avatarsDir);
+/**
+ * Создаёт сервер. Ничего не слушает до start().
+ *
+ * options.config  — конфиг поверх DEFAULT_CONFIG вместо config.json
+ *                   (port: 0 — любой свободный порт)
+ * options.stdin   — консоль администратора на stdin
+ * options.signals — SIGINT/SIGTERM завершают процесс через shutdown
+ */
+function createServer(options = {}) {
+    const config = options.config
+        ? { ...DEFAULT_CONFIG, ...options.config }
+        : loadConfig();
+    const PORT = config.port;
+    const ROOMS_FILE = path.resolve(__dirname, config.rooms);
+    const AVATARS_DIR = path.resolve(__dirname, config.avatarsDir);
 
-if (!fs.existsSync(AVATARS_DIR)) fs.mkdirSync(AVATARS_DIR, { recursive: true });
+    if (!fs.existsSync(AVATARS_DIR))
+        fs.mkdirSync(AVATARS_DIR, { recursive: true });
 
-// ─── TLS Certificate ──────────────────────────────────────────────────
+    // ─── Logging ──────────────────────────────────────────────────────────
 
-const CERT_FILE = path.resolve(__dirname, config.cert);
-const KEY_FILE = path.resolve(__dirname, config.key);
+    const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
 
-/**
- * Возвращает true если сертификат истекает в ближайшие 30 дней или недоступен.
- */
-function isCertExpiringSoon() {
-    try {
-        const result = spawnSync(
-            "openssl",
-            ["x509", "-noout", "-enddate", "-in", CERT_FILE],
-            { encoding: "utf8" },
+    /**
+     * Логгер с уровнями. Формат "text" — строка с временем и уровнем,
+     * "json" — один JSON-объект на строку. Запись синхронная, чтобы
+     * ничего не терялось при process.exit.
+     * msg — постоянный текст события, всё переменное (room, clientId,
+     * trackId…) передаётся в fields, чтобы по нему можно было фильтровать.
+     */
+    function createLogger({ level, format, destinations }) {
+        const threshold = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+        const files = [];
+        let toConsole = false;
+        for (const dest of destinations ?? ["console"]) {
+            if (dest === "console") {
+                toConsole = true;
+                continue;
+            }
+            const file = path.resolve(__dirname, dest);
+            try {
+                fs.mkdirSync(path.dirname(file), { recursive: true });
+                files.push(fs.openSync(file, "a"));
+            } catch (e) {
+                console.warn(`⚠️ Log destination ${file}: ${e.message}`);
+            }
+        }
+
+        // В текстовом формате простые строки без кавычек: room=lobby
+        const formatValue = (v) =>
+            typeof v === "string" && /^[^\s"=]+$/.test(v)
+                ? v
+                : JSON.stringify(v);
+
+        const write = (lvl, msg, fields = {}) => {
+            if (LOG_LEVELS[lvl] < threshold) return;
+            const time = new Date().toISOString();
+            const line =
+                format === "json"
+                    ? JSON.stringify({ time, level: lvl, msg, ...fields })
+                    : `${time} ${lvl.toUpperCase().padEnd(5)} ${msg}` +
+                      Object.entries(fields)
+                          .map(([k, v]) => ` ${k}=${formatValue(v)}`)
+                          .join("");
+            if (toConsole) {
+                const out =
+                    LOG_LEVELS[lvl] >= LOG_LEVELS.warn
+                        ? process.stderr
+                        : process.stdout;
+                out.write(line + "\n");
+            }
+            for (const fd of files) {
+                try {
+                    fs.writeSync(fd, line + "\n");
+                } catch {}
+            }
+        };
+
+        return {
+            debug: (msg, fields) => write("debug", msg, fields),
+            info: (msg, fields) => write("info", msg, fields),
+            warn: (msg, fields) => write("warn", msg, fields),
+            error: (msg, fields) => write("error", msg, fields),
+            // Закрывает файлы; после этого пишется только в консоль
+            close() {
+                for (const fd of files.splice(0)) {
+                    try {
+                        fs.closeSync(fd);
+                    } catch {}
+                }
+            },
+        };
+    }
+
+    const log = createLogger({ ...DEFAULT_CONFIG.logging, ...config.logging });
+
+    // ─── Audit log ────────────────────────────────────────────────────────
+    // Кто и когда управлял комнатой: в памяти последние auditMaxEntries,
+    // на диске — файл <auditDir>/<roomId>.jsonl и предыдущий <roomId>.jsonl.1
+
+    const AUDIT_DIR = config.auditDir
+        ? path.resolve(__dirname, config.auditDir)
+        : null;
+    const AUDIT_READ_CHUNK = 64 * 1024;
+    const auditLogs = new Map(); // roomId → записи
+    const auditStreams = new Map(); // roomId → { stream, size }
+    const auditListeners = new Set();
+
+    if (AUDIT_DIR && !fs.existsSync(AUDIT_DIR))
+        fs.mkdirSync(AUDIT_DIR, { recursive: true });
+
+    function auditFile(roomId) {
+        return path.join(AUDIT_DIR, `${encodeURIComponent(roomId)}.jsonl`);
+    }
+
+    /**
+     * Поток дозаписи в файл комнаты. Переполненный файл переименовывается
+     * в .1 (прежний .1 пропадает); недописанное старым потоком попадёт
+     * туда же — это тот же inode. Файл открывается сразу, а не в потоке,
+     * чтобы следующая ротация переименовала уже его.
+     */
+    function auditStream(roomId) {
+        const file = auditFile(roomId);
+        const current = auditStreams.get(roomId);
+        let size = current?.size;
+        if (size === undefined) {
+            try {
+                size = fs.statSync(file).size;
+            } catch {
+                size = 0;
+            }
+        }
+        const overflow =
+            config.auditMaxFileBytes && size >= config.auditMaxFileBytes;
+        if (current && !overflow) return current;
+        if (overflow) {
+            current?.stream.end();
+            try {
+                fs.renameSync(file, `${file}.1`);
+            } catch (e) {
+                log.warn("⚠️ Audit rotation failed", {
+                    room: roomId,
+                    error: e.message,
+                });
+            }
+            size = 0;
+        }
+        let fd;
+        try {
+            fd = fs.openSync(file, "a");
+        } catch (e) {
+            auditStreams.delete(roomId);
+            log.warn("⚠️ Audit write failed", {
+                room: roomId,
+                error: e.message,
+            });
+            return null;
+        }
+        const stream = fs.createWriteStream(file, { fd });
+        stream.on("error", (e) =>
+            log.warn("⚠️ Audit write failed", {
+                room: roomId,
+                error: e.message,
+            }),
         );
-        if (result.status !== 0) return true;
-        // notAfter=May 10 12:00:00 2026 GMT
-        const match = result.stdout.match(/notAfter=(.+)/);
-        if (!match) return true;
-        const expiry = new Date(match[1].trim());
-        const daysLeft = (expiry - Date.now()) / (1000 * 60 * 60 * 24);
-        console.log(
-            `🔐 Certificate expires in ${Math.floor(daysLeft)} day(s) (${expiry.toDateString()})`,
+        const entry = { stream, size };
+        auditStreams.set(roomId, entry);
+        return entry;
+    }
+
+    function audit(roomId, action, actor, details = {}) {
+        const entry = {
+            time: new Date().toISOString(),
+            room: roomId,
+            action,
+            actor,
+            ...details,
+        };
+        if (!auditLogs.has(roomId)) auditLogs.set(roomId, []);
+        const entries = auditLogs.get(roomId);
+        entries.push(entry);
+        if (entries.length > config.auditMaxEntries) entries.shift();
+        if (AUDIT_DIR) {
+            const line = JSON.stringify(entry) + "\n";
+            const target = auditStream(roomId);
+            if (target) {
+                target.stream.write(line);
+                target.size += Buffer.byteLength(line);
+            }
+        }
+        for (const listener of auditListeners) listener(entry);
+    }
+
+    // Строки файла с конца, кусками по AUDIT_READ_CHUNK
+    async function* readLinesBackwards(file) {
+        let handle;
+        try {
+            handle = await fs.promises.open(file, "r");
+        } catch {
+            return;
+        }
+        try {
+            let pos = (await handle.stat()).size;
+            let tail = Buffer.alloc(0);
+            while (pos > 0) {
+                const size = Math.min(AUDIT_READ_CHUNK, pos);
+                pos -= size;
+                const chunk = Buffer.alloc(size);
+                await handle.read(chunk, 0, size, pos);
+                const data = Buffer.concat([chunk, tail]);
+                let end = data.length;
+                for (let i = data.length - 1; i >= 0; i--) {
+                    if (data[i] !== 0x0a) continue;
+                    if (end > i + 1) yield data.toString("utf8", i + 1, end);
+                    end = i;
+                }
+                tail = data.subarray(0, end);
+            }
+            if (tail.length) yield tail.toString("utf8");
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * Записи аудита комнаты, старые первыми. С auditDir файлы читаются
+     * с конца, пока не наберётся limit совпадений, иначе — буфер в памяти.
+     * client совпадает с actor или target.
+     */
+    async function queryAudit(roomId, { action, client, limit = 20 } = {}) {
+        const matches = (e) =>
+            (!action || e.action === action) &&
+            (!client || e.actor === client || e.target === client);
+        if (!AUDIT_DIR) {
+            const matched = (auditLogs.get(roomId) ?? []).filter(matches);
+            return limit ? matched.slice(-limit) : matched;
+        }
+        // Дожидаемся, пока поток допишет буфер
+        const open = auditStreams.get(roomId)?.stream;
+        if (open) await new Promise((resolve) => open.write("", resolve));
+        const matched = [];
+        for (const file of [auditFile(roomId), `${auditFile(roomId)}.1`]) {
+            for await (const line of readLinesBackwards(file)) {
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch {
+                    continue;
+                }
+                if (!matches(entry)) continue;
+                matched.push(entry);
+                if (limit && matched.length >= limit) return matched.reverse();
+            }
+        }
+        return matched.reverse();
+    }
+
+    function closeAuditStreams() {
+        const streams = [...auditStreams.values()].map(({ stream }) => stream);
+        auditStreams.clear();
+        return Promise.all(
+            streams.map(
+                (stream) => new Promise((resolve) => stream.end(resolve)),
+            ),
         );
+    }
+
+    // ─── TLS Certificate ──────────────────────────────────────────────────
+
+    const CERT_FILE = path.resolve(__dirname, config.cert);
+    const KEY_FILE = path.resolve(__dirname, config.key);
+    const TLS_MODES = ["self-signed", "files", "none"];
+    const TLS_MODE = TLS_MODES.includes(config.tls)
+        ? config.tls
+        : "self-signed";
+    const CERT_WATCH_INTERVAL_MS = 5000;
+    // cert и key обычно обновляются парой — ждём, пока запишутся оба
+    const CERT_RELOAD_DELAY_MS = 1000;
+    const SAN_RE = /^(DNS|IP):[^\s,]+$/;
+
+    if (config.tls !== undefined && config.tls !== TLS_MODE)
+        log.warn("⚠️ Unknown tls mode", { tls: config.tls, using: TLS_MODE });
+
+    // Дата окончания текущего сертификата — для /metrics
+    let certExpiresAt = null;
+
+    /**
+     * Читает дату окончания сертификата через openssl. null — если не удалось.
+     */
+    function readCertExpiry() {
+        try {
+            const result = spawnSync(
+                "openssl",
+                ["x509", "-noout", "-enddate", "-in", CERT_FILE],
+                { encoding: "utf8" },
+            );
+            if (result.status !== 0) return null;
+            // notAfter=May 10 12:00:00 2026 GMT
+            const match = result.stdout.match(/notAfter=(.+)/);
+            if (!match) return null;
+            const expiry = new Date(match[1].trim());
+            return Number.isNaN(expiry.getTime()) ? null : expiry;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Возвращает true если сертификат истекает в ближайшие 30 дней или недоступен.
+     */
+    function isCertExpiringSoon() {
+        certExpiresAt = readCertExpiry();
+        if (!certExpiresAt) return true;
+        const daysLeft = (certExpiresAt - Date.now()) / (1000 * 60 * 60 * 24);
+        log.info("🔐 Certificate expiry", {
+            daysLeft: Math.floor(daysLeft),
+            expiresAt: certExpiresAt.toISOString(),
+        });
         return daysLeft < 30;
-    } catch {
-        return true;
     }
-}
 
-/**
- * Генерирует самоподписанный RSA-2048 сертификат на 825 дней через openssl.
- */
-function generateSelfSignedCert() {
-    console.log(
-        `🔑 Generating self-signed certificate → ${path.dirname(CERT_FILE)}`,
-    );
-
-    // Шаг 1: RSA-2048 приватный ключ
-    const keyResult = spawnSync(
-        "openssl",
-        ["genrsa", "-out", KEY_FILE, "2048"],
-        { encoding: "utf8" },
-    );
-
-    if (keyResult.status !== 0) {
-        throw new Error(`openssl genrsa failed:\n${keyResult.stderr}`);
-    }
-
-    // Шаг 2: самоподписанный сертификат
-    // Пробуем с -addext (OpenSSL 1.1.1+) для поддержки SAN в Chrome/Firefox
-    const certArgs = [
-        "req",
-        "-new",
-        "-x509",
-        "-key",
-        KEY_FILE,
-        "-out",
-        CERT_FILE,
-        "-days",
-        "825",
-        "-subj",
-        "/CN=ListenAlong/O=ListenAlong/C=US",
-        "-addext",
-        "subjectAltName=IP:127.0.0.1,IP:::1,DNS:localhost",
-    ];
+    /**
+     * SAN для самоподписанного сертификата из config.certSans ("DNS:host", "IP:addr").
+     */
+    function certSans() {
+        const sans = Array.isArray(config.certSans)
+            ? config.certSans
+            : DEFAULT_CONFIG.certSans;
+        const valid = sans.filter((san) => SAN_RE.test(san));
+        for (const san of sans)
+            if (!valid.includes(san))
+                log.warn("⚠️ Ignoring invalid SAN", { san });
+        return valid.length ? valid : DEFAULT_CONFIG.certSans;
+    }
+
+    /**
+     * Генерирует самоподписанный RSA-2048 сертификат на 825 дней через openssl.
+     */
+    function generateSelfSignedCert() {
+        log.info("🔑 Generating self-signed certificate", {
+            dir: path.dirname(CERT_FILE),
+        });
+
+        // Шаг 1: RSA-2048 приватный ключ
+        const keyResult = spawnSync(
+            "openssl",
+            ["genrsa", "-out", KEY_FILE, "2048"],
+            { encoding: "utf8" },
+        );
 
-    let certResult = spawnSync("openssl", certArgs, { encoding: "utf8" });
+        if (keyResult.status !== 0) {
+            throw new Error(`openssl genrsa failed:\n${keyResult.stderr}`);
+        }
 
-    if (certResult.status !== 0) {
-        // Фоллбэк для старых OpenSSL без -addext
-        const fallbackArgs = [
+        // Шаг 2: самоподписанный сертификат
+        // Пробуем с -addext (OpenSSL 1.1.1+) для поддержки SAN в Chrome/Firefox
+        const certArgs = [
             "req",
             "-new",
             "-x509",
@@ -125,486 +483,4906 @@ function generateSelfSignedCert() {
             "825",
             "-subj",
             "/CN=ListenAlong/O=ListenAlong/C=US",
+            "-addext",
+            `subjectAltName=${certSans().join(",")}`,
         ];
-        certResult = spawnSync("openssl", fallbackArgs, { encoding: "utf8" });
+
+        let certResult = spawnSync("openssl", certArgs, { encoding: "utf8" });
+
         if (certResult.status !== 0) {
-            throw new Error(`openssl req failed:\n${certResult.stderr}`);
+            // Фоллбэк для старых OpenSSL без -addext
+            const fallbackArgs = [
+                "req",
+                "-new",
+                "-x509",
+                "-key",
+                KEY_FILE,
+                "-out",
+                CERT_FILE,
+                "-days",
+                "825",
+                "-subj",
+                "/CN=ListenAlong/O=ListenAlong/C=US",
+            ];
+            certResult = spawnSync("openssl", fallbackArgs, {
+                encoding: "utf8",
+            });
+            if (certResult.status !== 0) {
+                throw new Error(`openssl req failed:\n${certResult.stderr}`);
+            }
         }
+
+        // Фиксируем права — ключ должен читать только владелец
+        try {
+            fs.chmodSync(KEY_FILE, 0o600);
+        } catch {}
+
+        log.info("✅ Certificate ready", { cert: CERT_FILE, key: KEY_FILE });
     }
 
-    // Фиксируем права — ключ должен читать только владелец
-    try {
-        fs.chmodSync(KEY_FILE, 0o600);
-    } catch {}
+    /**
+     * Загружает TLS-опции из cert/key (config.json).
+     * Если файлов нет или сертификат истекает — автогенерирует самоподписанный
+     * в ту же папку где лежат cert/key.
+     */
+    function loadTlsOptions() {
+        if (TLS_MODE === "none") return null;
+        const certMissing =
+            !fs.existsSync(CERT_FILE) || !fs.existsSync(KEY_FILE);
+        if (TLS_MODE === "files") {
+            // Сертификат выпускает кто-то другой (ACME и т.п.) — не трогаем
+            if (certMissing)
+                throw new Error(
+                    `tls is "files" but ${CERT_FILE} or ${KEY_FILE} is missing`,
+                );
+            if (isCertExpiringSoon())
+                log.warn(
+                    "⚠️ Certificate expires within 30 days or is unreadable — renew it, it is reloaded automatically",
+                );
+        } else if (certMissing || isCertExpiringSoon()) {
+            // Убеждаемся что папка существует
+            const certsDir = path.dirname(CERT_FILE);
+            if (!fs.existsSync(certsDir))
+                fs.mkdirSync(certsDir, { recursive: true });
+            generateSelfSignedCert();
+            certExpiresAt = readCertExpiry();
+        }
+        return {
+            cert: fs.readFileSync(CERT_FILE),
+            key: fs.readFileSync(KEY_FILE),
+        };
+    }
 
-    console.log(`✅ Certificate ready`);
-    console.log(`   cert: ${CERT_FILE}`);
-    console.log(`   key:  ${KEY_FILE}`);
-}
+    const tlsOptions = loadTlsOptions();
 
-/**
- * Загружает TLS-опции из cert/key (config.json).
- * Если файлов нет или сертификат истекает — автогенерирует самоподписанный
- * в ту же папку где лежат cert/key.
- */
-function loadTlsOptions() {
-    const certMissing = !fs.existsSync(CERT_FILE) || !fs.existsSync(KEY_FILE);
-    if (certMissing || isCertExpiringSoon()) {
-        // Убеждаемся что папка существует
-        const certsDir = path.dirname(CERT_FILE);
-        if (!fs.existsSync(certsDir))
-            fs.mkdirSync(certsDir, { recursive: true });
-        generateSelfSignedCert();
+    /**
+     * Следит за cert/key и подменяет TLS-контекст без перезапуска,
+     * например после продления сертификата certbot'ом.
+     * Возвращает функцию, снимающую наблюдение.
+     */
+    function watchCertificates(server) {
+        let reloadTimer = null;
+        const reload = () => {
+            clearTimeout(reloadTimer);
+            reloadTimer = setTimeout(() => {
+                try {
+                    server.setSecureContext({
+                        cert: fs.readFileSync(CERT_FILE),
+                        key: fs.readFileSync(KEY_FILE),
+                    });
+                    certExpiresAt = readCertExpiry();
+                    log.info("🔐 Certificate reloaded", {
+                        expiresAt: certExpiresAt?.toISOString() ?? null,
+                    });
+                } catch (e) {
+                    log.warn(
+                        "⚠️ Certificate reload failed — keeping the previous one",
+                        { error: e.message },
+                    );
+                }
+            }, CERT_RELOAD_DELAY_MS);
+        };
+        const onChange = (curr, prev) => {
+            if (curr.mtimeMs !== prev.mtimeMs) reload();
+        };
+        for (const file of [CERT_FILE, KEY_FILE])
+            fs.watchFile(file, { interval: CERT_WATCH_INTERVAL_MS }, onChange);
+        return () => {
+            clearTimeout(reloadTimer);
+            for (const file of [CERT_FILE, KEY_FILE])
+                fs.unwatchFile(file, onChange);
+        };
+    }
+
+    // ─── Room management ─────────────────────────────────────────────────
+
+    function loadRooms() {
+        if (!fs.existsSync(ROOMS_FILE)) {
+            log.warn("⚠️ Rooms file not found", { file: ROOMS_FILE });
+            return new Set();
+        }
+        return new Set(
+            fs
+                .readFileSync(ROOMS_FILE, "utf8")
+                .split("\n")
+                .map((l) => l.trim())
+                .filter(Boolean),
+        );
     }
-    return {
-        cert: fs.readFileSync(CERT_FILE),
-        key: fs.readFileSync(KEY_FILE),
-    };
-}
 
-const tlsOptions = loadTlsOptions();
+    const ROOMS_REGISTRY_FILE = config.roomsRegistry
+        ? path.resolve(__dirname, config.roomsRegistry)
+        : null;
+    const ROOM_ID_RE = /^[\w-]{1,64}$/;
+    const ROOM_SWEEP_INTERVAL_MS = 60000;
 
-// ─── Room management ─────────────────────────────────────────────────
+    // roomId → метаданные комнаты. source: "file" (rooms.txt) | "dynamic"
+    const roomRegistry = new Map();
 
-function loadRooms() {
-    if (!fs.existsSync(ROOMS_FILE)) {
-        console.warn(`⚠️  ${ROOMS_FILE} not found`);
-        return new Set();
+    const scrypt = promisify(crypto.scrypt);
+
+    // scrypt занимает десятки мс — только асинхронно, в пуле потоков
+    async function hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString("hex");
+        const hash = (await scrypt(password, salt, 32)).toString("hex");
+        return `${salt}:${hash}`;
     }
-    return new Set(
-        fs
-            .readFileSync(ROOMS_FILE, "utf8")
-            .split("\n")
-            .map((l) => l.trim())
-            .filter(Boolean),
-    );
-}
 
-let validRooms = loadRooms();
-fs.watch(ROOMS_FILE, () => {
-    validRooms = loadRooms();
-    console.log(`🔄 rooms.txt reloaded: [${[...validRooms].join(", ")}]`);
-});
-
-// roomId → Set<ws>
-const rooms = new Map();
-const roomState = new Map();
-
-function getRoomState(roomId) {
-    if (!roomState.has(roomId)) {
-        roomState.set(roomId, {
-            trackId: null,
-            playing: false,
-            position: 0,
-            positionSetAt: Date.now(),
-            duration: null,
-        });
+    async function verifyPassword(password, stored) {
+        const [salt, hash = ""] = stored.split(":");
+        const expected = Buffer.from(hash, "hex");
+        if (!expected.length) return false;
+        const given = await scrypt(String(password), salt, expected.length);
+        return crypto.timingSafeEqual(given, expected);
     }
-    return roomState.get(roomId);
-}
 
-function currentPosition(state) {
-    if (!state.playing) return state.position;
-    const elapsed = (Date.now() - state.positionSetAt) / 1000;
-    return state.position + elapsed;
-}
+    function parsePositiveInt(value) {
+        const n = parseInt(value, 10);
+        return Number.isInteger(n) && n > 0 ? n : null;
+    }
 
-function snapshotPosition(state) {
-    state.position = currentPosition(state);
-    state.positionSetAt = Date.now();
-}
+    function makeRoom(roomId, opts = {}) {
+        return {
+            roomId,
+            name:
+                typeof opts.name === "string" && opts.name ? opts.name : roomId,
+            passwordHash: opts.passwordHash ?? null,
+            maxMembers: parsePositiveInt(opts.maxMembers),
+            owner: typeof opts.owner === "string" ? opts.owner : null,
+            // sha256 ключа владельца из room_created
+            ownerKeyHash: opts.ownerKeyHash ?? null,
+            // Сколько секунд пустая комната живёт до удаления (null — вечно)
+            ttl: parsePositiveInt(opts.ttl),
+            source: opts.source ?? "dynamic",
+            createdAt: Date.now(),
+            emptySince: Date.now(),
+        };
+    }
 
-// ─── Broadcast ────────────────────────────────────────────────────────
+    function publicRoomInfo(room) {
+        return {
+            roomId: room.roomId,
+            name: room.name,
+            hasPassword: Boolean(room.passwordHash),
+            maxMembers: room.maxMembers,
+            owner: room.owner,
+            ttl: room.ttl,
+            source: room.source,
+            createdAt: room.createdAt,
+        };
+    }
 
-function broadcastToRoom(roomId, msgObj, exclude = null) {
-    const roomClients = rooms.get(roomId);
-    if (!roomClients || roomClients.size === 0) return 0;
-    const msg = JSON.stringify(msgObj);
-    let sent = 0;
-    for (const client of roomClients) {
-        if (client !== exclude && client.readyState === 1) {
-            client.send(msg);
-            sent++;
+    /**
+     * Синхронизирует комнаты из rooms.txt с реестром.
+     * Динамические комнаты с тем же ID не трогаются.
+     */
+    function syncFileRooms() {
+        const ids = loadRooms();
+        for (const [roomId, room] of roomRegistry) {
+            if (room.source === "file" && !ids.has(roomId))
+                roomRegistry.delete(roomId);
+        }
+        for (const roomId of ids) {
+            if (!roomRegistry.has(roomId))
+                roomRegistry.set(roomId, makeRoom(roomId, { source: "file" }));
         }
     }
-    return sent;
-}
 
-function broadcastAll(roomId, msgObj) {
-    return broadcastToRoom(roomId, msgObj, null);
-}
+    function saveRoomRegistry() {
+        if (!ROOMS_REGISTRY_FILE) return;
+        const dynamic = [...roomRegistry.values()].filter(
+            (room) => room.source === "dynamic",
+        );
+        try {
+            fs.writeFileSync(
+                ROOMS_REGISTRY_FILE,
+                JSON.stringify(dynamic, null, 4),
+            );
+        } catch (e) {
+            log.warn("⚠️ Rooms registry save failed", { error: e.message });
+        }
+    }
 
-function broadcastStateSync(roomId, triggeredBy = "server") {
-    const state = getRoomState(roomId);
-    broadcastAll(roomId, {
-        type: "state_sync",
-        trackId: state.trackId,
-        playing: state.playing,
-        position: currentPosition(state),
-        serverTime: Date.now(),
-        by: triggeredBy,
-    });
-}
+    function loadRoomRegistry() {
+        if (!ROOMS_REGISTRY_FILE || !fs.existsSync(ROOMS_REGISTRY_FILE)) return;
+        try {
+            const list = JSON.parse(
+                fs.readFileSync(ROOMS_REGISTRY_FILE, "utf8"),
+            );
+            for (const room of list) {
+                if (!ROOM_ID_RE.test(room.roomId)) continue;
+                roomRegistry.set(room.roomId, {
+                    ...room,
+                    source: "dynamic",
+                    emptySince: Date.now(),
+                });
+            }
+        } catch (e) {
+            log.warn("⚠️ Failed to parse rooms registry", {
+                file: ROOMS_REGISTRY_FILE,
+                error: e.message,
+            });
+        }
+    }
 
-// ─── Periodic heartbeat sync (every 5s) ──────────────────────────────
+    // Ключ владельца выдаётся один раз, в реестре хранится только его хеш
+    function issueOwnerKey(room) {
+        if (!room.owner) {
+            room.ownerKeyHash = null;
+            return null;
+        }
+        const key = crypto.randomBytes(18).toString("base64url");
+        room.ownerKeyHash = resumeHash(key);
+        return key;
+    }
 
-const SYNC_INTERVAL_MS = 10000;
-setInterval(() => {
-    for (const [roomId, clients] of rooms) {
-        if (clients.size === 0) continue;
-        const state = getRoomState(roomId);
-        if (!state.trackId) continue;
-        broadcastStateSync(roomId, "heartbeat");
+    /**
+     * clientId клиент выбирает сам, поэтому владельца из реестра
+     * подтверждает только ключ, выданный при создании комнаты.
+     */
+    function provesOwnership(room, clientId, ownerKey) {
+        return (
+            Boolean(room?.owner) &&
+            room.owner === clientId &&
+            sameHash(resumeHash(ownerKey), room.ownerKeyHash)
+        );
     }
-}, SYNC_INTERVAL_MS);
 
-// ─── Avatar ───────────────────────────────────────────────────────────
+    function roomExists(roomId) {
+        return Boolean(roomId) && roomRegistry.has(roomId);
+    }
 
-const avatarCache = new Map();
-let sharp;
-try {
-    sharp = require("sharp");
-} catch {
-    console.warn("⚠️ sharp not installed — run: npm install sharp");
-}
+    loadRoomRegistry();
+    syncFileRooms();
+    const roomsWatcher = fs.watch(ROOMS_FILE, () => {
+        syncFileRooms();
+        log.info("🔄 rooms.txt reloaded", { rooms: [...roomRegistry.keys()] });
+    });
 
-async function processAvatar(buffer) {
-    if (!sharp) throw new Error("sharp not installed");
-    return sharp(buffer)
-        .resize(50, 50, { fit: "cover", position: "centre" })
-        .webp({ quality: 85 })
-        .toBuffer();
-}
+    // roomId → Set<ws>
+    const rooms = new Map();
+    const roomState = new Map();
 
-function fetchUrl(url) {
-    return new Promise((resolve, reject) => {
-        const client = url.startsWith("https") ? https : http;
-        client
-            .get(url, { headers: { "User-Agent": "Mozilla/5.0" } }, (res) => {
-                if (
-                    res.statusCode >= 300 &&
-                    res.statusCode < 400 &&
-                    res.headers.location
-                )
-                    return fetchUrl(res.headers.location)
-                        .then(resolve)
-                        .catch(reject);
-                if (res.statusCode !== 200)
-                    return reject(new Error(`HTTP ${res.statusCode}`));
-                const chunks = [];
-                res.on("data", (c) => chunks.push(c));
-                res.on("end", () => resolve(Buffer.concat(chunks)));
-                res.on("error", reject);
-            })
-            .on("error", reject);
-    });
-}
+    function getRoomState(roomId) {
+        if (!roomState.has(roomId)) {
+            roomState.set(roomId, {
+                trackId: null,
+                playing: false,
+                position: 0,
+                positionSetAt: Date.now(),
+                duration: null,
+                meta: null,
+                history: [],
+                queue: [],
+                owner: configuredOwner(roomId),
+                djs: [],
+                chat: [],
+                skipVotes: [],
+                votesFor: null,
+                suggestions: [],
+                // clientId → до какого момента (null — бессрочно)
+                muted: {},
+            });
+        }
+        return roomState.get(roomId);
+    }
 
-// ─── Room helpers ─────────────────────────────────────────────────────
+    function currentPosition(state) {
+        if (!state.playing) return state.position;
+        const elapsed = (Date.now() - state.positionSetAt) / 1000;
+        return state.position + elapsed;
+    }
 
-function getRoomClients(roomId) {
-    if (!rooms.has(roomId)) rooms.set(roomId, new Set());
-    return rooms.get(roomId);
-}
+    function snapshotPosition(state) {
+        state.position = currentPosition(state);
+        state.positionSetAt = Date.now();
+    }
 
-function cleanupClient(ws) {
-    const roomId = ws._roomId;
-    if (!roomId) return;
-    const roomClients = rooms.get(roomId);
-    if (roomClients) {
-        roomClients.delete(ws);
-        if (roomClients.size === 0) rooms.delete(roomId);
-        console.log(
-            `❌ [${ws._clientId}] left [${roomId}] | In room: ${roomClients.size}`,
-        );
-        broadcastToRoom(roomId, {
-            type: "client_left",
-            clientId: ws._clientId,
-        });
+    function parseDuration(value) {
+        const d = parseFloat(value);
+        return Number.isFinite(d) && d > 0 ? d : null;
     }
-}
 
-// ─── HTTPS + WebSocket server ─────────────────────────────────────────
-
-const httpsServer = https.createServer(tlsOptions);
-const wss = new WebSocketServer({
-    server: httpsServer,
-    maxPayload: 10 * 1024 * 1024,
-});
-
-wss.on("connection", (ws, req) => {
-    const urlParams = new URL(req.url, "wss://localhost").searchParams;
-    const roomId = urlParams.get("room");
-    const clientId = urlParams.get("clientId") || `client_${Date.now()}`;
-
-    if (!roomId || !validRooms.has(roomId)) {
-        console.warn(`🚫 Rejected: room [${roomId}] does not exist`);
-        ws.close(4001, "Room not found");
-        return;
-    }
-
-    ws._roomId = roomId;
-    ws._clientId = clientId;
-    ws._avatar = null;
-
-    const roomClients = getRoomClients(roomId);
-    roomClients.add(ws);
-    console.log(
-        `✅ [${clientId}] → room [${roomId}] | Clients: ${roomClients.size}`,
-    );
-
-    broadcastToRoom(roomId, { type: "client_joined", clientId }, ws);
-    ws.send(JSON.stringify({ type: "server_info", name: config.name || null }));
-
-    // Отправить существующих участников + их аватары
-    for (const member of roomClients) {
-        if (member === ws) continue;
-        const avatarData =
-            member._avatar ||
-            avatarCache.get(`${roomId}__${member._clientId}`) ||
-            null;
-        if (avatarData && !member._avatar) member._avatar = avatarData;
-        ws.send(
-            JSON.stringify({
-                type: "client_joined",
-                clientId: member._clientId,
-                avatar: avatarData,
-            }),
-        );
+    // ─── Play queue ───────────────────────────────────────────────────────
+
+    const MAX_QUEUE_LENGTH = 200;
+    let queueSeq = 0;
+    // roomId → timeout автоперехода на следующий трек
+    const advanceTimers = new Map();
+
+    function queueAdd(roomId, trackId, duration, addedBy, meta = null) {
+        const state = getRoomState(roomId);
+        if (state.queue.length >= MAX_QUEUE_LENGTH) return null;
+        const item = {
+            id: ++queueSeq,
+            trackId,
+            duration: parseDuration(duration),
+            meta,
+            addedBy,
+            addedAt: Date.now(),
+        };
+        state.queue.push(item);
+        return item;
     }
 
-    // Отправить эталонное состояние новому участнику
-    const state = getRoomState(roomId);
-    if (state.trackId) {
-        ws.send(
-            JSON.stringify({
-                type: "state_sync",
-                trackId: state.trackId,
-                playing: state.playing,
-                position: currentPosition(state),
-                serverTime: Date.now(),
-                by: "server",
-            }),
-        );
+    function queueRemove(roomId, id) {
+        const state = getRoomState(roomId);
+        const idx = state.queue.findIndex((item) => item.id === id);
+        if (idx === -1) return false;
+        state.queue.splice(idx, 1);
+        return true;
     }
 
-    ws.on("message", async (data, isBinary) => {
-        // Binary = аватар
-        if (isBinary) {
-            try {
-                const processed = await processAvatar(
-                    Buffer.isBuffer(data) ? data : Buffer.from(data),
-                );
-                const b64 = processed.toString("base64");
-                ws._avatar = b64;
-                fs.promises
-                    .writeFile(
-                        path.join(AVATARS_DIR, `${roomId}__${clientId}.webp`),
-                        processed,
-                    )
-                    .catch((e) => console.warn(`⚠️ Avatar save: ${e.message}`));
-                avatarCache.set(`${roomId}__${clientId}`, b64);
-                broadcastToRoom(
-                    roomId,
-                    { type: "avatar", clientId, data: b64 },
-                    ws,
-                );
-                ws.send(
-                    JSON.stringify({ type: "avatar", clientId, data: b64 }),
-                );
-            } catch (e) {
-                ws.send(
-                    JSON.stringify({
-                        type: "error",
-                        message: `Avatar error: ${e.message}`,
-                    }),
-                );
-            }
-            return;
-        }
+    function queueMove(roomId, id, toIndex) {
+        const state = getRoomState(roomId);
+        const idx = state.queue.findIndex((item) => item.id === id);
+        if (idx === -1 || !Number.isInteger(toIndex)) return false;
+        const [item] = state.queue.splice(idx, 1);
+        const target = Math.max(0, Math.min(toIndex, state.queue.length));
+        state.queue.splice(target, 0, item);
+        return true;
+    }
 
-        let msg;
-        try {
-            const raw = data.toString().trim();
-            try {
-                msg = JSON.parse(raw);
-            } catch {
-                msg = { type: "navigate", path: raw };
-            }
-        } catch {
-            return;
+    /**
+     * Переключает комнату на следующий трек из очереди.
+     * Если очередь пуста — останавливает воспроизведение.
+     */
+    function advanceQueue(roomId, triggeredBy = "server") {
+        const state = getRoomState(roomId);
+        const next = state.queue.shift();
+        if (next) {
+            startTrack(roomId, next, next.addedBy);
+            log.info("⏭️ Next track", {
+                room: roomId,
+                by: triggeredBy,
+                trackId: next.trackId,
+            });
+        } else {
+            snapshotPosition(state);
+            if (state.duration) state.position = state.duration;
+            state.playing = false;
+            log.info("⏹️ Queue finished", { room: roomId });
         }
+        broadcastStateSync(roomId, triggeredBy);
+        broadcastQueue(roomId);
+    }
 
-        if (msg.roomId && msg.roomId !== roomId) {
-            ws.send(
-                JSON.stringify({ type: "error", message: "roomId mismatch" }),
-            );
-            return;
-        }
-        msg.clientId = clientId;
+    /**
+     * Ставит таймер на окончание текущего трека. Вызывается при каждом
+     * изменении состояния — старый таймер всегда сбрасывается.
+     */
+    function scheduleAutoAdvance(roomId) {
+        clearTimeout(advanceTimers.get(roomId));
+        advanceTimers.delete(roomId);
+        if (!isAdvanceLeader(roomId)) return;
+        const state = getRoomState(roomId);
+        if (!state.playing || !state.trackId || !state.duration) return;
+        const remainingMs = (state.duration - currentPosition(state)) * 1000;
+        advanceTimers.set(
+            roomId,
+            setTimeout(
+                () => {
+                    advanceTimers.delete(roomId);
+                    advanceQueue(roomId, "server");
+                },
+                Math.max(0, remainingMs),
+            ),
+        );
+    }
 
-        // ── avatar_url ──
-        if (msg.type === "avatar_url") {
-            if (
-                !msg.url ||
-                typeof msg.url !== "string" ||
-                !msg.url.startsWith("http")
-            ) {
-                ws.send(
-                    JSON.stringify({
-                        type: "error",
-                        message: "Invalid avatar URL",
-                    }),
-                );
-                return;
-            }
-            try {
-                const rawBuf = await fetchUrl(msg.url);
-                const processed = await processAvatar(rawBuf);
-                const b64 = processed.toString("base64");
-                ws._avatar = b64;
-                avatarCache.set(`${roomId}__${clientId}`, b64);
-                fs.promises
-                    .writeFile(
-                        path.join(AVATARS_DIR, `${roomId}__${clientId}.webp`),
-                        processed,
-                    )
-                    .catch((e) => console.warn(`⚠️ Avatar save: ${e.message}`));
-                broadcastToRoom(
-                    roomId,
-                    { type: "avatar", clientId, data: b64 },
-                    ws,
-                );
-                ws.send(
-                    JSON.stringify({ type: "avatar", clientId, data: b64 }),
-                );
-            } catch (e) {
-                ws.send(
-                    JSON.stringify({
-                        type: "error",
-                        message: `Failed to fetch avatar: ${e.message}`,
-                    }),
-                );
-            }
-            return;
+    // ─── Track metadata & history ─────────────────────────────────────────
+
+    /**
+     * Собирает метаданные трека (title, artists, cover) из сообщения
+     * или тела запроса. Пустые и некорректные поля отбрасываются.
+     */
+    function parseTrackMeta(src) {
+        const meta = {};
+        if (typeof src.title === "string" && src.title.trim())
+            meta.title = src.title.trim();
+        if (Array.isArray(src.artists)) {
+            const artists = src.artists
+                .filter((a) => typeof a === "string" && a.trim())
+                .map((a) => a.trim());
+            if (artists.length) meta.artists = artists;
         }
+        if (typeof src.cover === "string" && /^https?:\/\//.test(src.cover))
+            meta.cover = src.cover;
+        return Object.keys(meta).length ? meta : null;
+    }
 
-        const st = getRoomState(roomId);
+    /**
+     * Запускает трек с начала и записывает его в историю комнаты.
+     */
+    function startTrack(roomId, { trackId, duration, meta }, pickedBy) {
+        const state = getRoomState(roomId);
+        state.trackId = trackId;
+        state.duration = parseDuration(duration);
+        state.meta = meta ?? null;
+        state.position = 0;
+        state.positionSetAt = Date.now();
+        state.trackStartedAt = state.positionSetAt;
+        state.playing = true;
+        state.history.push({
+            trackId,
+            meta: state.meta,
+            duration: state.duration,
+            pickedBy,
+            startedAt: state.positionSetAt,
+        });
+        const overflow = state.history.length - config.playHistorySize;
+        if (overflow > 0) state.history.splice(0, overflow);
+    }
 
-        if (msg.type === "navigate") {
-            const trackId = msg.trackId ?? msg.path ?? null; // совместимость
-            if (!trackId) return;
-            console.log(
-                `📀 [${roomId}] navigate by [${clientId}]: trackId=${trackId}`,
-            );
-            snapshotPosition(st);
-            st.trackId = trackId;
-            st.position = 0;
-            st.positionSetAt = Date.now();
-            st.playing = true;
-            broadcastStateSync(roomId, clientId);
-            return;
-        }
+    // Названия и артисты приходят от клиентов: ячейка с =, +, -, @
+    // в начале открылась бы в таблице как формула
+    function csvField(value) {
+        let str = value == null ? "" : String(value);
+        if (typeof value === "string" && /^[=+\-@\t\r]/.test(str))
+            str = `'${str}`;
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    }
 
-        if (msg.type === "playstate") {
-            const wantPlay =
-                msg.href &&
-                (msg.href.includes("pause") || msg.href.includes("Pause"));
-            if (st.playing !== wantPlay) {
-                console.log(
-                    `${wantPlay ? "▶️" : "⏸️"} [${roomId}] playstate by [${clientId}]`,
-                );
-                snapshotPosition(st);
-                st.playing = wantPlay;
-            }
-            broadcastStateSync(roomId, clientId);
-            return;
+    function historyToCsv(history) {
+        const rows = [
+            [
+                "startedAt",
+                "trackId",
+                "title",
+                "artists",
+                "duration",
+                "pickedBy",
+            ],
+        ];
+        for (const entry of history) {
+            rows.push([
+                new Date(entry.startedAt).toISOString(),
+                entry.trackId,
+                entry.meta?.title,
+                entry.meta?.artists?.join("; "),
+                entry.duration,
+                entry.pickedBy,
+            ]);
         }
+        return rows.map((row) => row.map(csvField).join(",")).join("\n") + "\n";
+    }
 
-        if (msg.type === "seek") {
-            console.log(
-                `⏩ [${roomId}] seek by [${clientId}]: ${msg.position}s`,
-            );
-            st.position = parseFloat(msg.position) || 0;
-            st.positionSetAt = Date.now();
-            broadcastStateSync(roomId, clientId);
-            return;
-        }
+    // ─── Chat ─────────────────────────────────────────────────────────────
 
-        if (msg.type === "timeline" && msg.seek) {
-            console.log(
-                `⏩ [${roomId}] seek(legacy) by [${clientId}]: ${msg.value}s`,
-            );
-            st.position = parseFloat(msg.value) || 0;
-            st.positionSetAt = Date.now();
-            broadcastStateSync(roomId, clientId);
-            return;
-        }
+    const MAX_REACTION_LENGTH = 16;
+    let chatSeq = 0;
 
-        broadcastToRoom(roomId, msg, ws);
-    });
+    /**
+     * Добавляет сообщение или реакцию в историю комнаты и возвращает
+     * готовую к рассылке запись. Старые записи вытесняются.
+     */
+    function chatAppend(roomId, entry) {
+        const state = getRoomState(roomId);
+        const item = { ...entry, id: ++chatSeq, ts: Date.now() };
+        state.chat.push(item);
+        const overflow = state.chat.length - config.chatHistorySize;
+        if (overflow > 0) state.chat.splice(0, overflow);
+        return item;
+    }
 
-    ws.on("close", () => cleanupClient(ws));
-    ws.on("error", (err) => {
-        console.error(`[${clientId}] error:`, err.message);
-        cleanupClient(ws);
-    });
-});
-
-httpsServer.listen(PORT, () => {
-    console.log(`🚀 WSS server started on wss://0.0.0.0:${PORT}`);
-    console.log(`📁 Rooms file:  ${ROOMS_FILE}`);
-    console.log(`🔐 Certs dir:   ${path.dirname(CERT_FILE)}`);
-    console.log(
-        `✏️  Commands: <roomId> <path>  |  rooms  |  clients  |  state <roomId>\n`,
-    );
-});
-
-// ─── Terminal admin ───────────────────────────────────────────────────
-
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-});
-
-rl.on("line", (input) => {
-    const trimmed = input.trim();
-    if (!trimmed) return;
-    if (trimmed === "rooms") {
-        console.log("Rooms:", [...validRooms].join(", ") || "(none)");
-        return;
-    }
-    if (trimmed === "clients") {
-        for (const [rid, cls] of rooms)
-            console.log(
-                `  [${rid}]: ${[...cls].map((c) => c._clientId).join(", ")}`,
-            );
-        return;
-    }
-    const [cmd, ...rest] = trimmed.split(" ");
-    if (cmd === "state") {
-        const rid = rest[0];
-        if (rid && roomState.has(rid)) {
-            const s = getRoomState(rid);
-            console.log(
-                `[${rid}] trackId=${s.trackId} playing=${s.playing} pos=${currentPosition(s).toFixed(1)}s`,
-            );
-        } else {
-            console.log("Usage: state <roomId>");
-        }
-        return;
-    }
-    const roomId = cmd;
-    if (!validRooms.has(roomId)) {
-        console.warn(`⚠️ Room [${roomId}] not found`);
-        return;
-    }
-    const newTrackId = rest.join(" ");
-    const state = getRoomState(roomId);
-    state.trackId = newTrackId;
-    state.position = 0;
-    state.positionSetAt = Date.now();
-    state.playing = true;
-    broadcastStateSync(roomId, "server-admin");
-    console.log(`📤 [${roomId}] → navigate: trackId=${newTrackId}`);
-});
+    /**
+     * Удаляет сообщение из истории вместе с реакциями на него.
+     */
+    function chatRemove(roomId, id) {
+        const state = getRoomState(roomId);
+        if (!state.chat.some((e) => e.type === "chat" && e.id === id))
+            return false;
+        state.chat = state.chat.filter(
+            (e) => e.id !== id && e.messageId !== id,
+        );
+        return true;
+    }
+
+    // ─── Voting ───────────────────────────────────────────────────────────
+
+    let suggestionSeq = 0;
+
+    function skipVotesNeeded(roomId) {
+        const present = new Set();
+        for (const client of rooms.get(roomId) ?? [])
+            if (!client._disconnectedAt) present.add(client._clientId);
+        for (const member of remoteMembers(roomId))
+            if (!member.away) present.add(member.clientId);
+        return Math.max(1, Math.ceil(present.size * config.voteSkipRatio));
+    }
+
+    function skipVotesMessage(roomId) {
+        const state = getRoomState(roomId);
+        return {
+            type: "vote_skip_update",
+            votes: state.skipVotes.length,
+            needed: skipVotesNeeded(roomId),
+            voters: state.skipVotes,
+        };
+    }
+
+    function broadcastSkipVotes(roomId) {
+        broadcastToRoom(roomId, skipVotesMessage(roomId));
+    }
+
+    /**
+     * Пропускает трек, если набралось достаточно голосов.
+     * Порог пересчитывается от текущего числа участников.
+     */
+    function checkSkipVotes(roomId) {
+        const state = getRoomState(roomId);
+        const needed = skipVotesNeeded(roomId);
+        if (!state.trackId || state.skipVotes.length < needed) return false;
+        log.info("🗳️ Vote skip passed", {
+            room: roomId,
+            votes: state.skipVotes.length,
+            needed,
+        });
+        audit(roomId, "vote_skip", "vote", {
+            trackId: state.trackId,
+            voters: state.skipVotes,
+        });
+        state.skipVotes = [];
+        broadcastSkipVotes(roomId);
+        advanceQueue(roomId, "vote");
+        return true;
+    }
+
+    // Сначала больше голосов, при равенстве — кто раньше предложил
+    function sortedSuggestions(roomId) {
+        return [...getRoomState(roomId).suggestions].sort(
+            (a, b) => b.votes.length - a.votes.length || a.id - b.id,
+        );
+    }
+
+    function broadcastSuggestions(roomId) {
+        broadcastToRoom(roomId, {
+            type: "suggestions_update",
+            suggestions: sortedSuggestions(roomId),
+        });
+    }
+
+    /**
+     * Добавляет предложение или, если такой трек уже предложен,
+     * засчитывает голос за него. Возвращает null, если список полон.
+     */
+    function suggestTrack(roomId, { trackId, duration, meta }, clientId) {
+        const state = getRoomState(roomId);
+        const existing = state.suggestions.find((s) => s.trackId === trackId);
+        if (existing) {
+            if (!existing.votes.includes(clientId))
+                existing.votes.push(clientId);
+            return existing;
+        }
+        if (state.suggestions.length >= config.maxSuggestions) return null;
+        const suggestion = {
+            id: ++suggestionSeq,
+            trackId,
+            duration: parseDuration(duration),
+            meta,
+            suggestedBy: clientId,
+            suggestedAt: Date.now(),
+            votes: [clientId],
+        };
+        state.suggestions.push(suggestion);
+        return suggestion;
+    }
+
+    function voteSuggestion(roomId, id, clientId, vote) {
+        const suggestion = getRoomState(roomId).suggestions.find(
+            (s) => s.id === id,
+        );
+        if (!suggestion) return false;
+        suggestion.votes = suggestion.votes.filter((v) => v !== clientId);
+        if (vote) suggestion.votes.push(clientId);
+        return true;
+    }
+
+    function takeSuggestion(roomId, id) {
+        const state = getRoomState(roomId);
+        const idx = state.suggestions.findIndex((s) => s.id === id);
+        if (idx === -1) return null;
+        return state.suggestions.splice(idx, 1)[0];
+    }
+
+    // ─── Roles ────────────────────────────────────────────────────────────
+
+    function getRole(roomId, clientId) {
+        const state = getRoomState(roomId);
+        if (state.owner === clientId && ownerConfirmed(roomId, clientId))
+            return "owner";
+        if (state.djs.includes(clientId)) return "dj";
+        return "listener";
+    }
+
+    function canControl(roomId, clientId) {
+        return config.openControl || getRole(roomId, clientId) !== "listener";
+    }
+
+    /**
+     * Владелец из реестра получает права, только если вошёл с ключом
+     * владельца. Остальные владельцы (первый вошедший, roomOwners,
+     * transfer_owner) подтверждения не требуют.
+     */
+    function ownerConfirmed(roomId, clientId) {
+        const room = roomRegistry.get(roomId);
+        if (room?.owner !== clientId) return true;
+        if (config.roomOwners?.[roomId] === clientId) return true;
+        const local = findMember(roomId, clientId);
+        if (local) return Boolean(local._ownsRoom);
+        return remoteMembers(roomId).some(
+            (m) => m.clientId === clientId && m.ownsRoom,
+        );
+    }
+
+    function configuredOwner(roomId) {
+        return (
+            config.roomOwners?.[roomId] ??
+            roomRegistry.get(roomId)?.owner ??
+            null
+        );
+    }
+
+    function roomRoles(roomId) {
+        const state = getRoomState(roomId);
+        return { owner: state.owner, djs: state.djs };
+    }
+
+    function broadcastRoles(roomId) {
+        broadcastAll(roomId, { type: "roles_update", ...roomRoles(roomId) });
+    }
+
+    /**
+     * Передаёт владение комнатой, когда владелец ушёл.
+     * Назначенный в config.roomOwners или в реестре владелец не теряет роль.
+     */
+    function reassignOwner(roomId) {
+        const state = getRoomState(roomId);
+        if (configuredOwner(roomId)) return false;
+        const members = roomMemberIds(roomId);
+        if (state.owner && members.includes(state.owner)) return false;
+        const next = state.djs.find((id) => members.includes(id)) ?? members[0];
+        state.owner = next ?? null;
+        state.djs = state.djs.filter((id) => id !== next);
+        if (next)
+            log.info("👑 Owner changed", { room: roomId, clientId: next });
+        return true;
+    }
+
+    // ─── Clock sync ───────────────────────────────────────────────────────
+
+    const PLAY_AT_MARGIN_MS = 50;
+    const MAX_PLAY_AT_LEAD_MS = 1000;
+
+    /**
+     * Сглаженный RTT клиента (EWMA), измеряется по ws ping/pong.
+     */
+    function recordRtt(ws, rtt) {
+        if (!Number.isFinite(rtt) || rtt < 0) return;
+        ws._rtt = ws._rtt == null ? rtt : Math.round(ws._rtt * 0.8 + rtt * 0.2);
+    }
+
+    /**
+     * Запас времени для playAt: половина худшего RTT в комнате + margin,
+     * чтобы state_sync успел дойти до самого медленного клиента.
+     */
+    function playAtLead(roomId) {
+        let maxRtt = 0;
+        for (const client of rooms.get(roomId) ?? []) {
+            if (client._rtt != null) maxRtt = Math.max(maxRtt, client._rtt);
+        }
+        return Math.min(maxRtt / 2 + PLAY_AT_MARGIN_MS, MAX_PLAY_AT_LEAD_MS);
+    }
+
+    // ─── Metrics ──────────────────────────────────────────────────────────
+
+    const STARTED_AT = Date.now();
+    const AVATAR_LATENCY_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+    const metrics = {
+        messages: new Map(), // тип сообщения → число
+        broadcasts: 0,
+        broadcastRecipients: 0,
+        rejected: new Map(), // код закрытия / HTTP-статус → число
+        avatarFailures: new Map(), // код ошибки → число
+        avatarLatency: {
+            buckets: AVATAR_LATENCY_BUCKETS.map(() => 0),
+            sum: 0,
+            count: 0,
+        },
+    };
+
+    function increment(map, key) {
+        map.set(key, (map.get(key) ?? 0) + 1);
+    }
+
+    // Неизвестные типы не попадают в метки — иначе их число не ограничено
+    function countMessage(type) {
+        increment(metrics.messages, MESSAGE_SCHEMAS[type] ? type : "other");
+    }
+
+    function observeAvatarLatency(seconds) {
+        const h = metrics.avatarLatency;
+        AVATAR_LATENCY_BUCKETS.forEach((le, i) => {
+            if (seconds <= le) h.buckets[i]++;
+        });
+        h.sum += seconds;
+        h.count++;
+    }
+
+    function escapeLabel(value) {
+        return String(value)
+            .replace(/\\/g, "\\\\")
+            .replace(/"/g, '\\"')
+            .replace(/\n/g, "\\n");
+    }
+
+    /**
+     * Собирает метрики в текстовом формате Prometheus.
+     */
+    function formatMetrics() {
+        const lines = [];
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            for (const [labels, value] of samples) {
+                const pairs = Object.entries(labels).map(
+                    ([k, v]) => `${k}="${escapeLabel(v)}"`,
+                );
+                lines.push(
+                    `${name}${pairs.length ? `{${pairs.join(",")}}` : ""} ${value}`,
+                );
+            }
+        };
+        const byLabel = (map, label) =>
+            [...map].map(([key, value]) => [{ [label]: key }, value]);
+
+        const clients = [];
+        for (const roomId of roomRegistry.keys()) {
+            let connected = 0;
+            for (const c of rooms.get(roomId) ?? [])
+                if (!c._disconnectedAt) connected++;
+            clients.push([{ room: roomId }, connected]);
+        }
+        metric(
+            "listen_along_clients",
+            "gauge",
+            "Connected clients per room",
+            clients,
+        );
+        metric("listen_along_rooms", "gauge", "Known rooms", [
+            [{}, roomRegistry.size],
+        ]);
+        metric(
+            "listen_along_messages_total",
+            "counter",
+            "Messages received from clients by type",
+            byLabel(metrics.messages, "type"),
+        );
+        metric(
+            "listen_along_broadcasts_total",
+            "counter",
+            "Room broadcasts sent",
+            [[{}, metrics.broadcasts]],
+        );
+        metric(
+            "listen_along_broadcast_recipients_total",
+            "counter",
+            "Messages delivered by room broadcasts (fan-out)",
+            [[{}, metrics.broadcastRecipients]],
+        );
+        metric(
+            "listen_along_rejected_connections_total",
+            "counter",
+            "Rejected connections by close code or HTTP status",
+            byLabel(metrics.rejected, "code"),
+        );
+        metric(
+            "listen_along_avatar_failures_total",
+            "counter",
+            "Failed avatar uploads and fetches by error code",
+            byLabel(metrics.avatarFailures, "code"),
+        );
+
+        const h = metrics.avatarLatency;
+        const name = "listen_along_avatar_processing_seconds";
+        lines.push(
+            `# HELP ${name} Avatar resize time`,
+            `# TYPE ${name} histogram`,
+        );
+        AVATAR_LATENCY_BUCKETS.forEach((le, i) =>
+            lines.push(`${name}_bucket{le="${le}"} ${h.buckets[i]}`),
+        );
+        lines.push(
+            `${name}_bucket{le="+Inf"} ${h.count}`,
+            `${name}_sum ${h.sum}`,
+            `${name}_count ${h.count}`,
+        );
+
+        if (certExpiresAt) {
+            const days = (certExpiresAt - Date.now()) / (1000 * 60 * 60 * 24);
+            metric(
+                "listen_along_cert_days_remaining",
+                "gauge",
+                "Days until the TLS certificate expires",
+                [[{}, Math.floor(days)]],
+            );
+        }
+        metric(
+            "listen_along_uptime_seconds",
+            "gauge",
+            "Seconds since the server started",
+            [[{}, Math.floor((Date.now() - STARTED_AT) / 1000)]],
+        );
+        return lines.join("\n") + "\n";
+    }
+
+    // ─── Broadcast ────────────────────────────────────────────────────────
+
+    /**
+     * msgObj может быть функцией (client) → объект, если сообщение
+     * зависит от получателя. Другим узлам уходит полный вариант
+     * (с inline-аватаром) — лишнее они отрежут сами.
+     */
+    function broadcastToRoom(roomId, msgObj, exclude = null) {
+        publishRoomEvent(roomId, {
+            event: "broadcast",
+            msg:
+                typeof msgObj === "function"
+                    ? msgObj({ _inlineAvatars: true })
+                    : msgObj,
+        });
+        return deliverToRoom(roomId, msgObj, exclude);
+    }
+
+    // Рассылка только клиентам этого узла
+    function deliverToRoom(roomId, msgObj, exclude = null) {
+        const roomClients = rooms.get(roomId);
+        if (!roomClients || roomClients.size === 0) return 0;
+        const shared =
+            typeof msgObj === "function" ? null : JSON.stringify(msgObj);
+        let sent = 0;
+        for (const client of roomClients) {
+            if (client === exclude) continue;
+            const msg = shared ?? JSON.stringify(msgObj(client));
+            if (client._disconnectedAt) {
+                bufferMissed(client, msg);
+            } else if (client.readyState === 1) {
+                client.send(msg);
+                sent++;
+            }
+        }
+        metrics.broadcasts++;
+        metrics.broadcastRecipients += sent;
+        return sent;
+    }
+
+    function broadcastAll(roomId, msgObj) {
+        return broadcastToRoom(roomId, msgObj, null);
+    }
+
+    /**
+     * state_sync для конкретного клиента: общее состояние комнаты плюс его RTT.
+     * Пока трек играет, добавляется playAt — момент по часам сервера, когда
+     * все клиенты должны оказаться на позиции playAtPosition.
+     */
+    function stateSyncMessage(roomId, triggeredBy, ws) {
+        const state = getRoomState(roomId);
+        const now = Date.now();
+        const position = currentPosition(state);
+        const msg = {
+            type: "state_sync",
+            trackId: state.trackId,
+            duration: state.duration,
+            meta: state.meta,
+            playing: state.playing,
+            position,
+            serverTime: now,
+            by: triggeredBy,
+            rtt: ws._rtt ?? null,
+        };
+        if (state.playing) {
+            const lead = playAtLead(roomId);
+            msg.playAt = now + lead;
+            msg.playAtPosition = position + lead / 1000;
+        }
+        return msg;
+    }
+
+    function broadcastStateSync(roomId, triggeredBy = "server") {
+        // Трек сменился — голоса за пропуск прежнего обнуляются
+        const state = getRoomState(roomId);
+        if (state.votesFor !== state.trackStartedAt) {
+            state.votesFor = state.trackStartedAt;
+            if (state.skipVotes.length) {
+                state.skipVotes = [];
+                broadcastSkipVotes(roomId);
+            }
+        }
+        publishRoomEvent(roomId, { event: "state_sync", by: triggeredBy });
+        deliverStateSync(roomId, triggeredBy);
+        scheduleAutoAdvance(roomId);
+    }
+
+    function deliverStateSync(roomId, triggeredBy) {
+        const roomClients = rooms.get(roomId);
+        if (!roomClients || roomClients.size === 0) return 0;
+        let sent = 0;
+        for (const client of roomClients) {
+            if (client.readyState === 1) {
+                client.send(
+                    JSON.stringify(
+                        stateSyncMessage(roomId, triggeredBy, client),
+                    ),
+                );
+                sent++;
+            }
+        }
+        // state_sync — самая частая рассылка, в fan-out она тоже входит
+        metrics.broadcasts++;
+        metrics.broadcastRecipients += sent;
+        return sent;
+    }
+
+    function broadcastQueue(roomId) {
+        broadcastAll(roomId, {
+            type: "queue_update",
+            queue: getRoomState(roomId).queue,
+        });
+    }
+
+    // ─── Periodic heartbeat sync (every 5s) ──────────────────────────────
+
+    // Каждый узел шлёт heartbeat своим клиентам сам — состояние у всех общее
+    const SYNC_INTERVAL_MS = 10000;
+    const heartbeatTimer = setInterval(() => {
+        for (const [roomId, clients] of rooms) {
+            if (clients.size === 0) continue;
+            const state = getRoomState(roomId);
+            if (!state.trackId) continue;
+            deliverStateSync(roomId, "heartbeat");
+            scheduleAutoAdvance(roomId);
+        }
+    }, SYNC_INTERVAL_MS);
+
+    // ─── Backplane ────────────────────────────────────────────────────────
+
+    /*
+     * Backplane связывает несколько узлов: рассылки и изменения состояния
+     * комнат публикуются остальным, а каждый узел доставляет их своим клиентам.
+     *
+     * Адаптер:
+     *   publish(data)         — разослать строку всем узлам (включая себя)
+     *   subscribe(handler)    — Promise, резолвится когда подписка активна
+     *   saveState(roomId, json), loadStates() → Promise<Map<roomId, state>>
+     *   saveRoom(roomId, json | null), loadRooms() → Promise<Map<roomId, room>>
+     *   hasPeers()            — есть ли смысл публиковать
+     *   close()
+     */
+
+    const NODE_ID = crypto.randomUUID();
+    const BACKPLANE_RECONNECT_MS = 1000;
+    // Пока Redis недоступен, warn пишется раз в столько попыток
+    const BACKPLANE_WARN_EVERY = 30;
+    const NODE_STALE_MS = SYNC_INTERVAL_MS * 3;
+
+    /**
+     * In-memory адаптер. Узлы с общим hub (например, в тестах) видят друг друга,
+     * по умолчанию hub у процесса свой и публиковать некому.
+     */
+    function createMemoryBackplane(
+        hub = { handlers: new Set(), states: new Map(), rooms: new Map() },
+    ) {
+        let own = null;
+        return {
+            type: "memory",
+            publish(data) {
+                for (const handler of hub.handlers) setImmediate(handler, data);
+            },
+            subscribe(handler) {
+                own = handler;
+                hub.handlers.add(handler);
+                return Promise.resolve();
+            },
+            saveState(roomId, json) {
+                hub.states.set(roomId, json);
+            },
+            async loadStates() {
+                return new Map(
+                    [...hub.states].map(([roomId, json]) => [
+                        roomId,
+                        JSON.parse(json),
+                    ]),
+                );
+            },
+            saveRoom(roomId, json) {
+                if (json) hub.rooms.set(roomId, json);
+                else hub.rooms.delete(roomId);
+            },
+            async loadRooms() {
+                return new Map(
+                    [...hub.rooms].map(([roomId, json]) => [
+                        roomId,
+                        JSON.parse(json),
+                    ]),
+                );
+            },
+            hasPeers: () => hub.handlers.size > 1,
+            close() {
+                hub.handlers.delete(own);
+            },
+        };
+    }
+
+    function encodeResp(args) {
+        let out = `*${args.length}\r\n`;
+        for (const arg of args) {
+            const str = String(arg);
+            out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+        }
+        return out;
+    }
+
+    /**
+     * Разбирает один ответ RESP2 с позиции offset.
+     * Возвращает { value, offset } или null, если данных пока не хватает.
+     */
+    function parseResp(buf, offset = 0) {
+        const lineEnd = buf.indexOf("\r\n", offset);
+        if (lineEnd === -1) return null;
+        const line = buf.toString("utf8", offset + 1, lineEnd);
+        const next = lineEnd + 2;
+        switch (String.fromCharCode(buf[offset])) {
+            case "+":
+                return { value: line, offset: next };
+            case "-":
+                return { value: new Error(line), offset: next };
+            case ":":
+                return { value: Number(line), offset: next };
+            case "$": {
+                const len = Number(line);
+                if (len < 0) return { value: null, offset: next };
+                if (buf.length < next + len + 2) return null;
+                return {
+                    value: buf.toString("utf8", next, next + len),
+                    offset: next + len + 2,
+                };
+            }
+            case "*": {
+                const count = Number(line);
+                if (count < 0) return { value: null, offset: next };
+                const items = [];
+                let pos = next;
+                for (let i = 0; i < count; i++) {
+                    const item = parseResp(buf, pos);
+                    if (!item) return null;
+                    items.push(item.value);
+                    pos = item.offset;
+                }
+                return { value: items, offset: pos };
+            }
+            default:
+                throw new Error(`Unexpected RESP type byte ${buf[offset]}`);
+        }
+    }
+
+    /**
+     * Минимальный клиент Redis (RESP2 поверх TCP): команды по очереди ответов,
+     * pub/sub-сообщения уходят в onPush. Переподключается сам,
+     * onConnect вызывается после каждого соединения.
+     */
+    function createRespClient(url, { onPush, onConnect } = {}) {
+        const target = new URL(url);
+        const pending = [];
+        let socket = null;
+        let buffer = Buffer.alloc(0);
+        let connected = false;
+        let closed = false;
+        let failures = 0;
+
+        function dispatch(value) {
+            if (Array.isArray(value) && value[0] === "message" && onPush) {
+                onPush(value[1], value[2]);
+                return;
+            }
+            const request = pending.shift();
+            if (!request) return;
+            if (value instanceof Error) request.reject(value);
+            else request.resolve(value);
+        }
+
+        function connect() {
+            if (closed) return;
+            socket = net.connect(Number(target.port) || 6379, target.hostname);
+            socket.on("connect", () => {
+                connected = true;
+                failures = 0;
+                log.info("🔗 Backplane connected", { host: target.host });
+                if (target.password) {
+                    const user = decodeURIComponent(target.username);
+                    const pass = decodeURIComponent(target.password);
+                    command(user ? ["AUTH", user, pass] : ["AUTH", pass]).catch(
+                        (e) =>
+                            log.error("❌ Backplane auth failed", {
+                                error: e.message,
+                            }),
+                    );
+                }
+                onConnect?.();
+            });
+            socket.on("data", (chunk) => {
+                buffer = Buffer.concat([buffer, chunk]);
+                try {
+                    let reply;
+                    while ((reply = parseResp(buffer))) {
+                        buffer = buffer.subarray(reply.offset);
+                        dispatch(reply.value);
+                    }
+                } catch (e) {
+                    log.warn("⚠️ Backplane protocol error", {
+                        error: e.message,
+                    });
+                    socket.destroy();
+                }
+            });
+            // Ошибки живого соединения видны в close; неудачные попытки
+            // подключения — здесь, но без спама каждую секунду
+            socket.on("error", (e) => {
+                if (connected) return;
+                const fields = { host: target.host, error: e.message };
+                if (failures++ % BACKPLANE_WARN_EVERY === 0)
+                    log.warn("⚠️ Backplane connection failed", {
+                        ...fields,
+                        attempts: failures,
+                    });
+                else log.debug("Backplane connection failed", fields);
+            });
+            socket.on("close", () => {
+                if (connected)
+                    log.warn("⚠️ Backplane connection lost", {
+                        host: target.host,
+                    });
+                connected = false;
+                buffer = Buffer.alloc(0);
+                for (const request of pending.splice(0))
+                    request.reject(new Error("Backplane connection closed"));
+                if (!closed) setTimeout(connect, BACKPLANE_RECONNECT_MS);
+            });
+        }
+
+        function command(args) {
+            if (!socket || socket.destroyed)
+                return Promise.reject(new Error("Backplane is not connected"));
+            return new Promise((resolve, reject) => {
+                pending.push({ resolve, reject });
+                socket.write(encodeResp(args));
+            });
+        }
+
+        connect();
+        return {
+            command,
+            close() {
+                closed = true;
+                socket.end();
+            },
+        };
+    }
+
+    /**
+     * Redis-адаптер: события идут через PUBLISH в <prefix>:events,
+     * состояние комнат лежит в хеше <prefix>:rooms,
+     * динамические комнаты — в хеше <prefix>:registry.
+     */
+    function createRedisBackplane({ url, prefix }) {
+        const channel = `${prefix}:events`;
+        const statesKey = `${prefix}:rooms`;
+        const registryKey = `${prefix}:registry`;
+        const handlers = new Set();
+        let markSubscribed;
+        const subscribed = new Promise((resolve) => (markSubscribed = resolve));
+        const warn = (e) =>
+            log.warn("⚠️ Backplane error", { error: e.message });
+
+        const pub = createRespClient(url);
+
+        // HGETALL → Map<поле, разобранный JSON>, битые значения пропускаются
+        async function loadHash(key) {
+            const flat = (await pub.command(["HGETALL", key])) ?? [];
+            const values = new Map();
+            for (let i = 0; i + 1 < flat.length; i += 2) {
+                try {
+                    values.set(flat[i], JSON.parse(flat[i + 1]));
+                } catch {}
+            }
+            return values;
+        }
+        const sub = createRespClient(url, {
+            onPush(from, data) {
+                if (from !== channel) return;
+                for (const handler of handlers) handler(data);
+            },
+            // После переподключения подписку нужно восстановить
+            onConnect: () =>
+                sub.command(["SUBSCRIBE", channel]).then(markSubscribed, warn),
+        });
+
+        return {
+            type: "redis",
+            publish(data) {
+                pub.command(["PUBLISH", channel, data]).catch(warn);
+            },
+            subscribe(handler) {
+                handlers.add(handler);
+                return subscribed;
+            },
+            saveState(roomId, json) {
+                pub.command(["HSET", statesKey, roomId, json]).catch(warn);
+            },
+            loadStates: () => loadHash(statesKey),
+            saveRoom(roomId, json) {
+                const args = json
+                    ? ["HSET", registryKey, roomId, json]
+                    : ["HDEL", registryKey, roomId];
+                pub.command(args).catch(warn);
+            },
+            loadRooms: () => loadHash(registryKey),
+            hasPeers: () => true,
+            close() {
+                pub.close();
+                sub.close();
+            },
+        };
+    }
+
+    function createBackplane({ type, ...options }) {
+        if (type === "redis") return createRedisBackplane(options);
+        if (type !== "memory")
+            log.warn("⚠️ Unknown backplane type — using memory", { type });
+        return createMemoryBackplane();
+    }
+
+    const BACKPLANE_CONFIG = {
+        ...DEFAULT_CONFIG.backplane,
+        ...config.backplane,
+    };
+    const backplane = createBackplane(BACKPLANE_CONFIG);
+
+    // roomId → JSON состояния, которое уже знают остальные узлы
+    const publishedStates = new Map();
+    // nodeId → { seenAt, members: { roomId: [{ clientId, profile, away }] } }
+    const remoteNodes = new Map();
+    let presencePending = false;
+
+    /**
+     * Публикует событие комнаты. Состояние прикладывается, только если
+     * изменилось с прошлой публикации.
+     */
+    function publishRoomEvent(roomId, event) {
+        if (!backplane.hasPeers()) return;
+        const message = { node: NODE_ID, roomId, ...event };
+        const state = roomState.get(roomId);
+        if (state) {
+            const json = JSON.stringify(state);
+            if (json !== publishedStates.get(roomId)) {
+                publishedStates.set(roomId, json);
+                backplane.saveState(roomId, json);
+                message.state = state;
+            }
+        }
+        backplane.publish(JSON.stringify(message));
+    }
+
+    // Динамические комнаты общие для всех узлов: узел публикует комнату
+    // целиком после создания или правки, а удаление — с room: null
+    function publishRoom(roomId) {
+        const room = roomRegistry.get(roomId);
+        // emptySince у каждого узла свой
+        const shared =
+            room?.source === "dynamic"
+                ? { ...room, emptySince: undefined }
+                : null;
+        backplane.saveRoom(roomId, shared && JSON.stringify(shared));
+        if (backplane.hasPeers())
+            backplane.publish(
+                JSON.stringify({
+                    node: NODE_ID,
+                    event: "room",
+                    roomId,
+                    room: shared,
+                }),
+            );
+    }
+
+    // Комнаты из rooms.txt у каждого узла свои и не перезаписываются
+    function applyRemoteRoom(roomId, room) {
+        if (typeof roomId !== "string" || !ROOM_ID_RE.test(roomId)) return;
+        const known = roomRegistry.get(roomId);
+        if (known?.source === "file") return;
+        if (!room) {
+            if (known) dropRoom(roomId, "Room deleted");
+            return;
+        }
+        roomRegistry.set(roomId, {
+            ...room,
+            roomId,
+            source: "dynamic",
+            emptySince: known ? known.emptySince : Date.now(),
+        });
+        saveRoomRegistry();
+    }
+
+    function applyRemoteState(roomId, remote) {
+        const state = Object.assign(getRoomState(roomId), remote);
+        publishedStates.set(roomId, JSON.stringify(state));
+        // id очереди, чата и предложений должны оставаться уникальными
+        for (const item of state.queue) queueSeq = Math.max(queueSeq, item.id);
+        for (const entry of state.chat) chatSeq = Math.max(chatSeq, entry.id);
+        for (const s of state.suggestions)
+            suggestionSeq = Math.max(suggestionSeq, s.id);
+    }
+
+    function remoteMembers(roomId) {
+        const members = [];
+        for (const node of remoteNodes.values())
+            members.push(...(node.members[roomId] ?? []));
+        return members;
+    }
+
+    /**
+     * Очередь по окончании трека двигает только один узел — с наименьшим
+     * NODE_ID среди тех, где есть участники комнаты.
+     */
+    function isAdvanceLeader(roomId) {
+        if (remoteNodes.size === 0) return true;
+        const nodes = [...remoteNodes]
+            .filter(([, node]) => node.members[roomId]?.length)
+            .map(([nodeId]) => nodeId);
+        if (rooms.get(roomId)?.size) nodes.push(NODE_ID);
+        if (nodes.length === 0) nodes.push(NODE_ID, ...remoteNodes.keys());
+        return nodes.sort()[0] === NODE_ID;
+    }
+
+    // Отложено до конца тика, чтобы пачка join/leave ушла одним сообщением
+    function publishPresence() {
+        if (!backplane.hasPeers() || presencePending) return;
+        presencePending = true;
+        setImmediate(() => {
+            presencePending = false;
+            const members = {};
+            for (const [roomId, clients] of rooms) {
+                members[roomId] = [...clients].map((c) => ({
+                    clientId: c._clientId,
+                    profile: c._profile ?? null,
+                    away: Boolean(c._disconnectedAt),
+                    resumeHash: resumeHash(c._resumeSecret),
+                    ipHash: ipHash(c._ip),
+                    ownsRoom: Boolean(c._ownsRoom),
+                }));
+            }
+            backplane.publish(
+                JSON.stringify({ node: NODE_ID, event: "presence", members }),
+            );
+        });
+    }
+
+    function updatePresence(message) {
+        const known = remoteNodes.has(message.node);
+        remoteNodes.set(message.node, {
+            seenAt: Date.now(),
+            members: message.members ?? {},
+        });
+        if (!known) {
+            log.info("🛰️ Backplane node joined", { node: message.node });
+            // Новому узлу нужно знать наших участников сразу, а не через heartbeat
+            publishPresence();
+        }
+    }
+
+    /**
+     * Клиент переподключился к другому узлу — здешний сокет
+     * (живой или в grace-периоде) убирается без client_left.
+     * Без проверенного токена нужен тот же секрет сессии
+     * (или тот же IP в открытой комнате).
+     */
+    function dropClaimedMember(
+        roomId,
+        clientId,
+        { verified, resumeHash: hash, ipHash: claimIpHash },
+    ) {
+        const previous = findMember(roomId, clientId);
+        if (!previous) return;
+        const proven =
+            verified ||
+            sameHash(hash, resumeHash(previous._resumeSecret)) ||
+            legacyReconnect(roomId, claimIpHash, ipHash(previous._ip));
+        if (!proven) {
+            log.warn("🚫 Claim from another node without proof ignored", {
+                room: roomId,
+                clientId,
+            });
+            return;
+        }
+        clearTimeout(previous._graceTimer);
+        previous._replaced = true;
+        const roomClients = rooms.get(roomId);
+        roomClients.delete(previous);
+        if (roomClients.size === 0) {
+            rooms.delete(roomId);
+            const room = roomRegistry.get(roomId);
+            if (room) room.emptySince = Date.now();
+        }
+        if (!previous._disconnectedAt)
+            previous.close(
+                CLOSE_CODES.SESSION_REPLACED,
+                "Replaced by a connection on another node",
+            );
+        log.info("🔁 Client moved to another node", { room: roomId, clientId });
+        publishPresence();
+    }
+
+    function handleBackplaneMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch {
+            return;
+        }
+        if (!message || message.node === NODE_ID) return;
+        if (message.event === "presence") return updatePresence(message);
+        if (message.event === "bans") return replaceBans(message.bans);
+        if (message.event === "room")
+            return applyRemoteRoom(message.roomId, message.room);
+
+        const { roomId } = message;
+        if (!roomExists(roomId)) return;
+        if (message.state) applyRemoteState(roomId, message.state);
+
+        if (message.event === "broadcast") {
+            const msg = message.msg;
+            // Клиент успел переподключиться к этому узлу
+            if (msg?.type === "client_left" && findMember(roomId, msg.clientId))
+                return;
+            if (msg?.type === "avatar" && msg.data) {
+                avatarCache.set(
+                    avatarKey(roomId, msg.clientId),
+                    makeAvatarEntry(Buffer.from(msg.data, "base64")),
+                );
+                deliverToRoom(roomId, (client) => ({
+                    ...msg,
+                    data: client._inlineAvatars ? msg.data : undefined,
+                }));
+                return;
+            }
+            deliverToRoom(roomId, msg);
+            return;
+        }
+        if (message.event === "state_sync") {
+            deliverStateSync(roomId, message.by);
+            scheduleAutoAdvance(roomId);
+            return;
+        }
+        if (message.event === "kick") {
+            kickLocal(roomId, message.clientId, message.reason);
+            return;
+        }
+        if (message.event === "claim")
+            dropClaimedMember(roomId, message.clientId, message);
+    }
+
+    // Presence заодно служит heartbeat узла; молчащий узел считается упавшим
+    const presenceTimer = setInterval(() => {
+        publishPresence();
+        const now = Date.now();
+        for (const [nodeId, node] of remoteNodes) {
+            if (now - node.seenAt < NODE_STALE_MS) continue;
+            remoteNodes.delete(nodeId);
+            log.warn("⚠️ Backplane node went silent — dropping its members", {
+                node: nodeId,
+            });
+            for (const [roomId, members] of Object.entries(node.members)) {
+                if (!rooms.has(roomId)) continue;
+                for (const member of members) {
+                    if (roomMemberIds(roomId).includes(member.clientId))
+                        continue;
+                    deliverToRoom(roomId, {
+                        type: "client_left",
+                        clientId: member.clientId,
+                    });
+                }
+                if (reassignOwner(roomId)) broadcastRoles(roomId);
+            }
+        }
+    }, SYNC_INTERVAL_MS);
+
+    // ─── Liveness ─────────────────────────────────────────────────────────
+
+    /**
+     * Пинг всех сокетов: в payload — время отправки (для замера RTT).
+     * Не ответившие дольше pingTimeoutMs обрываются через terminate() —
+     * дальше обычный путь close → cleanupClient. Слушатели без сообщений
+     * дольше idleKickMs (если задан) отключаются.
+     */
+    function checkLiveness() {
+        const now = Date.now();
+        for (const client of wss.clients) {
+            if (client.readyState !== 1) continue;
+            if (now - client._lastSeen > config.pingTimeoutMs) {
+                log.warn("💀 Unresponsive socket terminated", {
+                    room: client._roomId ?? null,
+                    clientId: client._clientId ?? null,
+                });
+                client.terminate();
+                continue;
+            }
+            if (
+                config.idleKickMs > 0 &&
+                client._roomId &&
+                now - client._lastActivity > config.idleKickMs &&
+                getRole(client._roomId, client._clientId) === "listener"
+            ) {
+                log.info("💤 Idle listener disconnected", {
+                    room: client._roomId,
+                    clientId: client._clientId,
+                });
+                audit(client._roomId, "idle_kick", "server", {
+                    target: client._clientId,
+                });
+                client._noResume = true;
+                client.close(CLOSE_CODES.IDLE, "Idle timeout");
+                continue;
+            }
+            client.ping(String(now));
+        }
+    }
+
+    const livenessTimer = setInterval(checkLiveness, config.pingIntervalMs);
+
+    // ─── Avatar ───────────────────────────────────────────────────────────
+
+    const avatarCache = new Map();
+    // Незавершённые записи на диск — shutdown дожидается их
+    const pendingAvatarWrites = new Set();
+    let sharp;
+    try {
+        sharp = require("sharp");
+    } catch {
+        log.warn("⚠️ sharp not installed — run: npm install sharp");
+    }
+
+    async function processAvatar(buffer) {
+        if (!sharp) throw new Error("sharp not installed");
+        const started = Date.now();
+        try {
+            const result = await sharp(buffer)
+                .resize(50, 50, { fit: "cover", position: "centre" })
+                .webp({ quality: 85 })
+                .toBuffer();
+            observeAvatarLatency((Date.now() - started) / 1000);
+            return result;
+        } catch (e) {
+            increment(metrics.avatarFailures, "AVATAR_PROCESSING_FAILED");
+            throw e;
+        }
+    }
+
+    function avatarKey(roomId, clientId) {
+        return `${roomId}__${clientId}`;
+    }
+
+    // { data: Buffer (webp), hash } — hash идёт в ETag и в ?v= у URL
+    function makeAvatarEntry(buffer) {
+        const hash = crypto
+            .createHash("sha1")
+            .update(buffer)
+            .digest("hex")
+            .slice(0, 16);
+        return { data: buffer, hash };
+    }
+
+    function avatarUrl(roomId, clientId, entry) {
+        return `/avatars/${encodeURIComponent(roomId)}/${encodeURIComponent(clientId)}.webp?v=${entry.hash}`;
+    }
+
+    /**
+     * Поля аватара для client_joined: URL всегда,
+     * base64 — только клиентам с inlineAvatars.
+     */
+    function avatarFields(roomId, clientId, entry, recipient) {
+        return {
+            avatarUrl: entry ? avatarUrl(roomId, clientId, entry) : null,
+            avatar: recipient._inlineAvatars
+                ? (entry?.data.toString("base64") ?? null)
+                : undefined,
+        };
+    }
+
+    /**
+     * Сохраняет обработанный аватар клиента (память + диск)
+     * и рассылает его всей комнате, включая самого клиента.
+     */
+    function storeAvatar(ws, processed) {
+        const roomId = ws._roomId;
+        const clientId = ws._clientId;
+        const key = avatarKey(roomId, clientId);
+        const entry = makeAvatarEntry(processed);
+        ws._avatar = entry;
+        avatarCache.set(key, entry);
+        const write = fs.promises
+            .writeFile(path.join(AVATARS_DIR, `${key}.webp`), processed)
+            .catch((e) =>
+                log.warn("⚠️ Avatar save failed", {
+                    room: roomId,
+                    clientId,
+                    error: e.message,
+                }),
+            )
+            .finally(() => pendingAvatarWrites.delete(write));
+        pendingAvatarWrites.add(write);
+        broadcastToRoom(roomId, (client) => ({
+            type: "avatar",
+            clientId,
+            url: avatarUrl(roomId, clientId, entry),
+            hash: entry.hash,
+            data: client._inlineAvatars
+                ? processed.toString("base64")
+                : undefined,
+        }));
+    }
+
+    // ─── Avatar fetching (SSRF-safe) ──────────────────────────────────────
+
+    const AVATAR_FETCH = {
+        ...DEFAULT_CONFIG.avatarFetch,
+        ...config.avatarFetch,
+    };
+
+    // Loopback, частные, link-local, CGNAT, multicast и зарезервированные сети
+    const blockedAddresses = new net.BlockList();
+    for (const [address, prefix] of [
+        ["0.0.0.0", 8],
+        ["10.0.0.0", 8],
+        ["100.64.0.0", 10],
+        ["127.0.0.0", 8],
+        ["169.254.0.0", 16],
+        ["172.16.0.0", 12],
+        ["192.0.0.0", 24],
+        ["192.168.0.0", 16],
+        ["198.18.0.0", 15],
+        ["224.0.0.0", 4],
+        ["240.0.0.0", 4],
+    ])
+        blockedAddresses.addSubnet(address, prefix, "ipv4");
+    for (const [address, prefix] of [
+        ["::", 128],
+        ["::1", 128],
+        ["fc00::", 7],
+        ["fe80::", 10],
+        ["ff00::", 8],
+    ])
+        blockedAddresses.addSubnet(address, prefix, "ipv6");
+
+    // Сигнатуры форматов, которые принимаем по avatar_url
+    const IMAGE_SIGNATURES = [
+        (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff, // JPEG
+        (b) => b.toString("hex", 0, 8) === "89504e470d0a1a0a", // PNG
+        (b) => /^GIF8[79]a/.test(b.toString("latin1", 0, 6)), // GIF
+        (b) =>
+            b.toString("latin1", 0, 4) === "RIFF" &&
+            b.toString("latin1", 8, 12) === "WEBP", // WebP
+        (b) =>
+            b.toString("latin1", 4, 8) === "ftyp" &&
+            /^(avif|avis)$/.test(b.toString("latin1", 8, 12)), // AVIF
+    ];
+
+    function fetchError(code, message) {
+        const err = new Error(message);
+        err.code = code;
+        return err;
+    }
+
+    function isBlockedAddress(address) {
+        if (AVATAR_FETCH.allowPrivateAddresses) return false;
+        // IPv4-mapped IPv6 (::ffff:127.0.0.1) проверяем как IPv4
+        const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+        const ip = mapped ? mapped[1] : address;
+        const family = net.isIP(ip);
+        if (!family) return true;
+        return blockedAddresses.check(ip, family === 4 ? "ipv4" : "ipv6");
+    }
+
+    function isImageBuffer(buffer) {
+        return (
+            buffer.length >= 12 && IMAGE_SIGNATURES.some((sig) => sig(buffer))
+        );
+    }
+
+    /**
+     * lookup для http.get: резолвит имя и отказывает, если хоть один адрес
+     * внутренний. Соединение идёт на уже проверенный адрес — DNS rebinding
+     * между проверкой и подключением невозможен.
+     */
+    function safeLookup(hostname, options, callback) {
+        dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+            if (err) return callback(err);
+            const blocked = addresses.find((a) => isBlockedAddress(a.address));
+            if (blocked)
+                return callback(
+                    fetchError(
+                        "AVATAR_BLOCKED_ADDRESS",
+                        `Address ${blocked.address} is not allowed`,
+                    ),
+                );
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    }
+
+    /**
+     * Скачивает картинку для avatar_url с лимитами на редиректы, размер и время.
+     * Все ошибки несут code AVATAR_* — он уходит клиенту в сообщении error.
+     */
+    function fetchUrl(
+        url,
+        redirectsLeft = AVATAR_FETCH.maxRedirects,
+        deadline = Date.now() + AVATAR_FETCH.timeoutMs,
+    ) {
+        return new Promise((resolve, reject) => {
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch {
+                return reject(fetchError("AVATAR_INVALID_URL", "Invalid URL"));
+            }
+            if (parsed.protocol !== "http:" && parsed.protocol !== "https:")
+                return reject(
+                    fetchError(
+                        "AVATAR_INVALID_URL",
+                        "Only http(s) URLs allowed",
+                    ),
+                );
+            // IP-литералы lookup не проходят — проверяем сразу
+            const host = parsed.hostname.replace(/^\[|\]$/g, "");
+            if (net.isIP(host) && isBlockedAddress(host))
+                return reject(
+                    fetchError(
+                        "AVATAR_BLOCKED_ADDRESS",
+                        `Address ${host} is not allowed`,
+                    ),
+                );
+
+            const client = parsed.protocol === "https:" ? https : http;
+            const req = client.get(
+                parsed,
+                {
+                    headers: { "User-Agent": "Mozilla/5.0" },
+                    lookup: safeLookup,
+                },
+                (res) => {
+                    if (
+                        res.statusCode >= 300 &&
+                        res.statusCode < 400 &&
+                        res.headers.location
+                    ) {
+                        res.resume();
+                        clearTimeout(timer);
+                        if (redirectsLeft <= 0)
+                            return reject(
+                                fetchError(
+                                    "AVATAR_TOO_MANY_REDIRECTS",
+                                    "Too many redirects",
+                                ),
+                            );
+                        return fetchUrl(
+                            new URL(res.headers.location, parsed).href,
+                            redirectsLeft - 1,
+                            deadline,
+                        ).then(resolve, reject);
+                    }
+                    if (res.statusCode !== 200) {
+                        res.resume();
+                        return fail(
+                            fetchError(
+                                "AVATAR_HTTP_ERROR",
+                                `HTTP ${res.statusCode}`,
+                            ),
+                        );
+                    }
+                    const contentType = res.headers["content-type"] || "";
+                    if (!contentType.startsWith("image/")) {
+                        res.resume();
+                        return fail(
+                            fetchError(
+                                "AVATAR_BAD_CONTENT_TYPE",
+                                `Unexpected content-type: ${contentType || "none"}`,
+                            ),
+                        );
+                    }
+                    const tooLarge = fetchError(
+                        "AVATAR_TOO_LARGE",
+                        `Image larger than ${AVATAR_FETCH.maxBytes} bytes`,
+                    );
+                    if (
+                        parseInt(res.headers["content-length"], 10) >
+                        AVATAR_FETCH.maxBytes
+                    )
+                        return fail(tooLarge);
+                    const chunks = [];
+                    let size = 0;
+                    res.on("data", (c) => {
+                        size += c.length;
+                        if (size > AVATAR_FETCH.maxBytes) return fail(tooLarge);
+                        chunks.push(c);
+                    });
+                    res.on("end", () => {
+                        clearTimeout(timer);
+                        const buffer = Buffer.concat(chunks);
+                        if (!isImageBuffer(buffer))
+                            return reject(
+                                fetchError(
+                                    "AVATAR_NOT_IMAGE",
+                                    "Response is not a supported image",
+                                ),
+                            );
+                        resolve(buffer);
+                    });
+                },
+            );
+
+            const fail = (err) => {
+                clearTimeout(timer);
+                req.destroy();
+                reject(err);
+            };
+            const timer = setTimeout(
+                () =>
+                    fail(
+                        fetchError("AVATAR_TIMEOUT", "Avatar fetch timed out"),
+                    ),
+                Math.max(0, deadline - Date.now()),
+            );
+            req.on("error", (e) =>
+                fail(
+                    e.code?.startsWith("AVATAR_")
+                        ? e
+                        : fetchError("AVATAR_FETCH_FAILED", e.message),
+                ),
+            );
+        });
+    }
+
+    // ─── Profiles ─────────────────────────────────────────────────────────
+
+    const MAX_DISPLAY_NAME_LENGTH = 32;
+    const MAX_STATUS_LENGTH = 100;
+    const ACCENT_COLOR_RE = /^#[0-9a-f]{6}$/i;
+    const CONTROL_CHARS_RE = /[\u0000-\u001f\u007f]/;
+    // avatarKey → { displayName, status, accentColor }
+    const profileCache = new Map();
+
+    /**
+     * Проверяет и нормализует поля сообщения profile.
+     * Возвращает { profile } или { error }. Отсутствующее поле сбрасывается.
+     */
+    function parseProfile(msg) {
+        const displayName = msg.displayName?.trim() || null;
+        const status = msg.status?.trim() || null;
+        const accentColor = msg.accentColor?.toLowerCase() ?? null;
+        if (displayName && displayName.length > MAX_DISPLAY_NAME_LENGTH)
+            return {
+                error: `displayName is limited to ${MAX_DISPLAY_NAME_LENGTH} characters`,
+            };
+        if (status && status.length > MAX_STATUS_LENGTH)
+            return {
+                error: `status is limited to ${MAX_STATUS_LENGTH} characters`,
+            };
+        if (
+            CONTROL_CHARS_RE.test(displayName ?? "") ||
+            CONTROL_CHARS_RE.test(status ?? "")
+        )
+            return { error: "Profile contains control characters" };
+        if (accentColor && !ACCENT_COLOR_RE.test(accentColor))
+            return { error: "accentColor must look like #rrggbb" };
+        return { profile: { displayName, status, accentColor } };
+    }
+
+    function storeProfile(ws, profile) {
+        ws._profile = profile;
+        profileCache.set(avatarKey(ws._roomId, ws._clientId), profile);
+        broadcastToRoom(ws._roomId, {
+            type: "profile_update",
+            clientId: ws._clientId,
+            profile,
+        });
+        publishPresence();
+    }
+
+    // ─── Room helpers ─────────────────────────────────────────────────────
+
+    function getRoomClients(roomId) {
+        if (!rooms.has(roomId)) rooms.set(roomId, new Set());
+        return rooms.get(roomId);
+    }
+
+    function findMember(roomId, clientId) {
+        for (const client of rooms.get(roomId) ?? []) {
+            if (client._clientId === clientId) return client;
+        }
+        return null;
+    }
+
+    // clientId участников на всех узлах: сначала здешние
+    function roomMemberIds(roomId) {
+        const ids = [...(rooms.get(roomId) ?? [])].map((c) => c._clientId);
+        for (const member of remoteMembers(roomId)) ids.push(member.clientId);
+        return [...new Set(ids)];
+    }
+
+    // ─── Session resume ───────────────────────────────────────────────────
+
+    const RESUME_GRACE_MS = config.resumeGraceMs;
+    const MAX_MISSED_MESSAGES = 200;
+
+    // Между узлами ходит только sha256 секрета сессии
+    function resumeHash(secret) {
+        if (typeof secret !== "string" || !secret) return null;
+        return crypto.createHash("sha256").update(secret).digest("hex");
+    }
+
+    function sameHash(a, b) {
+        return (
+            typeof a === "string" &&
+            typeof b === "string" &&
+            a.length === b.length &&
+            crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b))
+        );
+    }
+
+    // IP участника тоже уходит на другие узлы только хешем
+    function ipHash(ip) {
+        return resumeHash(normalizeIp(ip));
+    }
+
+    /**
+     * Клиенты протокола 1 не знают resume. В открытой комнате они,
+     * как раньше, занимают своё место, если пришли с того же IP.
+     */
+    function legacyReconnect(roomId, newIpHash, heldIpHash) {
+        return (
+            !needsAuth(roomRegistry.get(roomId)) &&
+            sameHash(newIpHash, heldIpHash)
+        );
+    }
+
+    /**
+     * Занятый clientId (здесь или на другом узле) может перенять только
+     * тот, кто знает секрет сессии из server_info или пришёл с токеном,
+     * а в открытой комнате — ещё и переподключение с того же IP.
+     */
+    function mayTakeOver(roomId, clientId, { resume, viaToken }, ip) {
+        const local = findMember(roomId, clientId);
+        const remote = remoteMembers(roomId).find(
+            (m) => m.clientId === clientId,
+        );
+        if (!local && !remote) return true;
+        const expected = local
+            ? resumeHash(local._resumeSecret)
+            : remote.resumeHash;
+        if (viaToken || sameHash(resumeHash(resume), expected)) return true;
+        return legacyReconnect(
+            roomId,
+            ipHash(ip),
+            local ? ipHash(local._ip) : remote.ipHash,
+        );
+    }
+
+    /**
+     * Копит сообщения для отключившегося участника, пока он в grace-периоде.
+     */
+    function bufferMissed(ws, msg) {
+        ws._missed.push(msg);
+        if (ws._missed.length > MAX_MISSED_MESSAGES) ws._missed.shift();
+    }
+
+    /**
+     * Вызывается на close/error. Участник не удаляется сразу: он остаётся
+     * в комнате на RESUME_GRACE_MS, чтобы переподключение с тем же clientId
+     * прошло без client_left/client_joined.
+     */
+    function cleanupClient(ws) {
+        const roomId = ws._roomId;
+        if (!roomId || ws._replaced || ws._disconnectedAt) return;
+        if (!rooms.get(roomId)?.has(ws)) return;
+        if (RESUME_GRACE_MS > 0 && !ws._noResume) {
+            ws._disconnectedAt = Date.now();
+            ws._missed = [];
+            ws._graceTimer = setTimeout(
+                () => removeClient(ws),
+                RESUME_GRACE_MS,
+            );
+            publishPresence();
+            log.info("⏳ Client disconnected — waiting for resume", {
+                room: roomId,
+                clientId: ws._clientId,
+                graceMs: RESUME_GRACE_MS,
+            });
+            return;
+        }
+        removeClient(ws);
+    }
+
+    function removeClient(ws) {
+        const roomId = ws._roomId;
+        clearTimeout(ws._graceTimer);
+        const roomClients = rooms.get(roomId);
+        if (roomClients?.delete(ws)) {
+            if (roomClients.size === 0) {
+                rooms.delete(roomId);
+                const room = roomRegistry.get(roomId);
+                if (room) room.emptySince = Date.now();
+            }
+            log.info("❌ Client left", {
+                room: roomId,
+                clientId: ws._clientId,
+                members: roomClients.size,
+            });
+            publishPresence();
+            broadcastToRoom(roomId, {
+                type: "client_left",
+                clientId: ws._clientId,
+            });
+            if (reassignOwner(roomId)) broadcastRoles(roomId);
+
+            // Ушедший больше не голосует, а порог мог снизиться
+            const state = getRoomState(roomId);
+            if (state.skipVotes.length) {
+                state.skipVotes = state.skipVotes.filter(
+                    (id) => id !== ws._clientId,
+                );
+                if (!checkSkipVotes(roomId)) broadcastSkipVotes(roomId);
+            }
+        }
+    }
+
+    // Сообщения, управляющие воспроизведением — только для owner/dj
+    const CONTROL_TYPES = new Set([
+        "navigate",
+        "playstate",
+        "seek",
+        "queue_add",
+        "queue_remove",
+        "queue_move",
+        "queue_skip",
+        "queue_clear",
+        "promote_suggestion",
+        "dismiss_suggestion",
+    ]);
+
+    // Сообщения модерации — только для owner
+    const MODERATION_TYPES = new Set([
+        "kick",
+        "ban",
+        "unban",
+        "mute",
+        "unmute",
+    ]);
+
+    // Что нельзя заглушённому, кроме управления плеером
+    const MUTED_TYPES = new Set([
+        "chat",
+        "reaction",
+        "vote_skip",
+        "suggest",
+        "upvote",
+        "profile",
+        "avatar_url",
+    ]);
+
+    // ─── Persistence ──────────────────────────────────────────────────────
+
+    const STATE_FILE = config.stateFile
+        ? path.resolve(__dirname, config.stateFile)
+        : null;
+
+    /**
+     * Сохраняет состояние комнат в STATE_FILE.
+     * Пишет во временный файл и переименовывает — файл не бывает полузаписанным.
+     */
+    function saveState() {
+        if (!STATE_FILE) return;
+        const data = { savedAt: Date.now(), rooms: {} };
+        for (const [roomId, st] of roomState) {
+            data.rooms[roomId] = {
+                trackId: st.trackId,
+                playing: st.playing,
+                position: currentPosition(st),
+                duration: st.duration,
+                meta: st.meta,
+                history: st.history,
+                queue: st.queue,
+                owner: st.owner,
+                djs: st.djs,
+                chat: st.chat,
+                suggestions: st.suggestions,
+                muted: st.muted,
+            };
+        }
+        data.profiles = Object.fromEntries(profileCache);
+        try {
+            const tmp = `${STATE_FILE}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify(data, null, 4));
+            fs.renameSync(tmp, STATE_FILE);
+        } catch (e) {
+            log.warn("⚠️ State save failed", { error: e.message });
+        }
+    }
+
+    /**
+     * Восстанавливает состояние комнат из STATE_FILE.
+     * Позиция продолжается с момента сохранения, а не с момента рестарта.
+     */
+    function restoreState() {
+        if (!STATE_FILE || !fs.existsSync(STATE_FILE)) return;
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(STATE_FILE, "utf8"));
+        } catch (e) {
+            log.warn("⚠️ Failed to parse state file", {
+                file: STATE_FILE,
+                error: e.message,
+            });
+            return;
+        }
+        for (const [roomId, saved] of Object.entries(data.rooms || {})) {
+            const st = getRoomState(roomId);
+            st.trackId = saved.trackId ?? null;
+            st.playing = Boolean(saved.playing);
+            st.position = parseFloat(saved.position) || 0;
+            st.positionSetAt = Date.now();
+            st.duration = parseDuration(saved.duration);
+            st.meta = saved.meta ?? null;
+            st.history = Array.isArray(saved.history) ? saved.history : [];
+            st.queue = Array.isArray(saved.queue) ? saved.queue : [];
+            st.owner = configuredOwner(roomId) ?? saved.owner ?? null;
+            st.djs = Array.isArray(saved.djs) ? saved.djs : [];
+            st.chat = Array.isArray(saved.chat) ? saved.chat : [];
+            for (const item of st.queue) queueSeq = Math.max(queueSeq, item.id);
+            for (const entry of st.chat) chatSeq = Math.max(chatSeq, entry.id);
+            st.suggestions = Array.isArray(saved.suggestions)
+                ? saved.suggestions
+                : [];
+            for (const s of st.suggestions)
+                suggestionSeq = Math.max(suggestionSeq, s.id);
+            st.muted =
+                saved.muted && typeof saved.muted === "object"
+                    ? saved.muted
+                    : {};
+            scheduleAutoAdvance(roomId);
+        }
+        for (const [key, profile] of Object.entries(data.profiles || {}))
+            profileCache.set(key, profile);
+        log.info("💾 Restored room state", { rooms: roomState.size });
+    }
+
+    /**
+     * Заполняет avatarCache из сохранённых <roomId>__<clientId>.webp.
+     */
+    function restoreAvatarCache() {
+        let files;
+        try {
+            files = fs.readdirSync(AVATARS_DIR);
+        } catch {
+            return;
+        }
+        for (const file of files) {
+            if (!file.endsWith(".webp") || !file.includes("__")) continue;
+            try {
+                const data = fs.readFileSync(path.join(AVATARS_DIR, file));
+                avatarCache.set(
+                    file.slice(0, -".webp".length),
+                    makeAvatarEntry(data),
+                );
+            } catch (e) {
+                log.warn("⚠️ Avatar load failed", { file, error: e.message });
+            }
+        }
+        log.info("🖼️ Loaded avatars from disk", { avatars: avatarCache.size });
+    }
+
+    restoreState();
+    restoreAvatarCache();
+
+    const stateSaveTimer = STATE_FILE
+        ? setInterval(saveState, config.stateSaveIntervalMs)
+        : null;
+
+    // ─── Protocol ─────────────────────────────────────────────────────────
+
+    // v1 — исходный протокол Next Music (без hello), v2 — строгая схема
+    const PROTOCOL_VERSION = 2;
+    const LEGACY_PROTOCOL_VERSION = 1;
+    const PROTOCOL_FEATURES = [
+        "queue",
+        "roles",
+        "clock_sync",
+        "rooms",
+        "auth",
+        "resume",
+        "avatar_urls",
+        "chat",
+        "reactions",
+        "profiles",
+        "track_meta",
+        "history",
+        "vote_skip",
+        "suggestions",
+        "moderation",
+    ];
+    const MAX_STRING_LENGTH = 2048;
+    const MAX_ARRAY_LENGTH = 50;
+
+    // Поле → "<тип>" или "<тип>?" для необязательного. Лишние поля допускаются.
+    const MESSAGE_SCHEMAS = {
+        hello: { protocol: "integer", client: "string?" },
+        time_ping: { t0: "number?" },
+        avatar_url: { url: "string" },
+        create_room: {
+            room: "string",
+            name: "string?",
+            password: "string?",
+            maxMembers: "integer?",
+            ttl: "integer?",
+        },
+        delete_room: { room: "string", ownerKey: "string?" },
+        transfer_owner: { target: "string" },
+        grant_dj: { target: "string" },
+        revoke_dj: { target: "string" },
+        navigate: {
+            trackId: "string",
+            duration: "number?",
+            title: "string?",
+            artists: "string[]?",
+            cover: "string?",
+        },
+        playstate: { playing: "boolean" },
+        seek: { position: "number" },
+        queue_add: {
+            trackId: "string",
+            duration: "number?",
+            title: "string?",
+            artists: "string[]?",
+            cover: "string?",
+        },
+        history: { limit: "integer?" },
+        vote_skip: { vote: "boolean?" },
+        suggest: {
+            trackId: "string",
+            duration: "number?",
+            title: "string?",
+            artists: "string[]?",
+            cover: "string?",
+        },
+        upvote: { id: "integer", vote: "boolean?" },
+        promote_suggestion: { id: "integer", queue: "boolean?" },
+        dismiss_suggestion: { id: "integer" },
+        queue_remove: { id: "integer" },
+        queue_move: { id: "integer", index: "integer" },
+        queue_skip: {},
+        queue_clear: {},
+        chat: { text: "string" },
+        profile: {
+            displayName: "string?",
+            status: "string?",
+            accentColor: "string?",
+        },
+        reaction: { emoji: "string", messageId: "integer?" },
+        kick: { target: "string", reason: "string?" },
+        ban: { target: "string", duration: "integer?" },
+        unban: { target: "string" },
+        mute: { target: "string", duration: "integer?" },
+        unmute: { target: "string" },
+    };
+    const COMMON_FIELDS = { roomId: "string?" };
+
+    const FIELD_CHECKS = {
+        string: (v) =>
+            typeof v === "string" &&
+            v.length > 0 &&
+            v.length <= MAX_STRING_LENGTH,
+        number: (v) => Number.isFinite(v),
+        integer: (v) => Number.isInteger(v),
+        boolean: (v) => typeof v === "boolean",
+        "string[]": (v) =>
+            Array.isArray(v) &&
+            v.length <= MAX_ARRAY_LENGTH &&
+            v.every(FIELD_CHECKS.string),
+    };
+
+    function sendError(ws, code, message) {
+        ws.send(JSON.stringify({ type: "error", code, message }));
+    }
+
+    /**
+     * Проверяет сообщение по MESSAGE_SCHEMAS.
+     * Возвращает текст ошибки или null.
+     */
+    function validateMessage(msg) {
+        const schema = { ...COMMON_FIELDS, ...MESSAGE_SCHEMAS[msg.type] };
+        for (const [field, spec] of Object.entries(schema)) {
+            const optional = spec.endsWith("?");
+            const type = optional ? spec.slice(0, -1) : spec;
+            const value = msg[field];
+            if (value == null) {
+                if (optional) continue;
+                return `Missing field "${field}"`;
+            }
+            if (!FIELD_CHECKS[type](value))
+                return `Field "${field}" must be a valid ${type}`;
+        }
+        return null;
+    }
+
+    /**
+     * Приводит сообщения старых клиентов Next Music к формату v2:
+     * путь сырым текстом, navigate.path, playstate.href и timeline.seek.
+     */
+    function adaptLegacyMessage(msg) {
+        if (msg.type === "navigate" && typeof msg.trackId !== "string") {
+            // Как в старом сервере: trackId ?? path, числа тоже годятся
+            const trackId = msg.trackId ?? msg.path;
+            if (typeof trackId === "number" || typeof trackId === "string")
+                return { ...msg, trackId: String(trackId) };
+        }
+        if (msg.type === "playstate" && typeof msg.playing !== "boolean") {
+            // Кнопка показывает «пауза» — значит, сейчас играет
+            const href = String(msg.href ?? "");
+            return {
+                ...msg,
+                playing: href.includes("pause") || href.includes("Pause"),
+            };
+        }
+        // Без позиции или с мусором старый сервер перематывал на 0
+        if (msg.type === "seek" && typeof msg.position !== "number")
+            return { ...msg, position: parseFloat(msg.position) || 0 };
+        if (msg.type === "timeline" && msg.seek)
+            return {
+                type: "seek",
+                position: parseFloat(msg.value) || 0,
+                roomId: msg.roomId,
+            };
+        return msg;
+    }
+
+    // Типы, которые шлёт только сервер — legacy-клиент не может их подделать
+    const SERVER_ONLY_TYPES = new Set([
+        "state_sync",
+        "queue_update",
+        "roles_update",
+        "mutes_update",
+        "vote_skip_update",
+        "suggestions_update",
+        "chat_history",
+        "chat_deleted",
+        "server_notice",
+        "server_shutdown",
+        "session_resumed",
+        "client_joined",
+        "client_left",
+        "avatar",
+        "profile_update",
+        "server_info",
+        "auth_ok",
+        "hello",
+        "time_pong",
+        "room_created",
+        "error",
+    ]);
+
+    /**
+     * Разбирает текстовый фрейм с учётом версии протокола клиента.
+     * Возвращает { msg } или { error, message } (error — код для sendError).
+     * Неизвестные типы от legacy-клиентов помечаются passthrough.
+     */
+    function parseClientMessage(ws, raw) {
+        const legacy = ws._protocol === LEGACY_PROTOCOL_VERSION;
+        let msg;
+        try {
+            msg = JSON.parse(raw);
+        } catch {
+            if (!legacy)
+                return { error: "MALFORMED_JSON", message: "Invalid JSON" };
+            msg = { type: "navigate", path: raw };
+        }
+        if (
+            !msg ||
+            typeof msg !== "object" ||
+            Array.isArray(msg) ||
+            typeof msg.type !== "string"
+        )
+            return {
+                error: "INVALID_MESSAGE",
+                message: "Message must be an object with a string type",
+            };
+        if (legacy) msg = adaptLegacyMessage(msg);
+        if (!MESSAGE_SCHEMAS[msg.type]) {
+            if (legacy && SERVER_ONLY_TYPES.has(msg.type))
+                return {
+                    error: "INVALID_MESSAGE",
+                    message: `${msg.type} is sent only by the server`,
+                };
+            if (legacy) return { msg, passthrough: true };
+            return {
+                error: "UNKNOWN_TYPE",
+                message: `Unknown message type: ${msg.type}`,
+            };
+        }
+        const problem = validateMessage(msg);
+        if (problem)
+            return {
+                error: "INVALID_MESSAGE",
+                message: `${msg.type}: ${problem}`,
+            };
+        return { msg };
+    }
+
+    // ─── Rate limiting ────────────────────────────────────────────────────
+
+    const RATE_SWEEP_INTERVAL_MS = 60000;
+    const VIOLATION_WINDOW_MS = 60000;
+    // "<ip> <category>" → корзина
+    const ipBuckets = new Map();
+    // ip → число открытых соединений
+    const ipConnections = new Map();
+
+    /**
+     * За reverse proxy берём последний адрес из X-Forwarded-For — его
+     * дописал сам прокси, остальные мог подставить клиент.
+     */
+    function clientIp(req) {
+        if (config.trustProxy) {
+            const forwarded = req.headers["x-forwarded-for"];
+            const last = forwarded?.split(",").pop().trim();
+            if (last) return last;
+        }
+        return req.socket.remoteAddress || "unknown";
+    }
+
+    // timeline+seek от legacy-клиентов к этому моменту уже превращён в seek
+    function isControlMessage(msg) {
+        return CONTROL_TYPES.has(msg.type);
+    }
+
+    function messageCategory(msg) {
+        if (msg.type === "avatar_url") return "avatar";
+        if (msg.type === "chat" || msg.type === "reaction") return "chat";
+        if (isControlMessage(msg)) return "control";
+        return "message";
+    }
+
+    /**
+     * Лимит категории из config.rateLimits[scope]; неуказанные категории
+     * берутся из значений по умолчанию, null — без ограничения.
+     */
+    function rateLimitFor(scope, category) {
+        const limits = config.rateLimits?.[scope];
+        if (limits && category in limits) return limits[category];
+        return DEFAULT_CONFIG.rateLimits[scope][category];
+    }
+
+    function takeToken(buckets, key, limit) {
+        if (!limit) return true;
+        const now = Date.now();
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: limit.burst, updatedAt: now };
+            buckets.set(key, bucket);
+        }
+        bucket.tokens = Math.min(
+            limit.burst,
+            bucket.tokens + ((now - bucket.updatedAt) / 1000) * limit.rate,
+        );
+        bucket.updatedAt = now;
+        if (bucket.tokens < 1) return false;
+        bucket.tokens -= 1;
+        return true;
+    }
+
+    /**
+     * Списывает токен из корзин клиента и его IP.
+     * При превышении отвечает error; после maxRateViolations нарушений
+     * за минуту отключает клиента.
+     */
+    function allowMessage(ws, category) {
+        if (ws.readyState !== 1) return false;
+        const allowed =
+            takeToken(
+                ws._buckets,
+                category,
+                rateLimitFor("client", category),
+            ) &&
+            takeToken(
+                ipBuckets,
+                `${ws._ip} ${category}`,
+                rateLimitFor("ip", category),
+            );
+        if (allowed) return true;
+
+        const now = Date.now();
+        if (now - ws._violationsSince > VIOLATION_WINDOW_MS) {
+            ws._violations = 0;
+            ws._violationsSince = now;
+        }
+        ws._violations++;
+        if (ws._violations > config.maxRateViolations) {
+            log.warn("🚫 Rate limit abuse — disconnecting", {
+                room: ws._roomId ?? null,
+                clientId: ws._clientId ?? null,
+            });
+            if (ws._roomId)
+                audit(ws._roomId, "rate_limit_kick", "server", {
+                    target: ws._clientId,
+                });
+            ws._noResume = true;
+            ws.close(CLOSE_CODES.RATE_LIMITED, "Rate limit exceeded");
+            return false;
+        }
+        sendError(ws, "RATE_LIMITED", `Rate limit exceeded: ${category}`);
+        return false;
+    }
+
+    // Удаляем полностью восстановившиеся корзины IP
+    const rateSweepTimer = setInterval(() => {
+        const now = Date.now();
+        for (const [key, bucket] of ipBuckets) {
+            if (now - bucket.updatedAt > RATE_SWEEP_INTERVAL_MS)
+                ipBuckets.delete(key);
+        }
+    }, RATE_SWEEP_INTERVAL_MS);
+
+    // ─── Admin commands ───────────────────────────────────────────────────
+    // Общая логика для терминала и HTTP API
+
+    function listRooms() {
+        return [...roomRegistry.values()].map((room) => ({
+            ...publicRoomInfo(room),
+            clients: rooms.get(room.roomId)?.size ?? 0,
+        }));
+    }
+
+    // maxRooms / maxRoomsPerClient для комнат, созданных клиентами
+    function roomLimitError(owner) {
+        let total = 0;
+        let owned = 0;
+        for (const room of roomRegistry.values()) {
+            if (room.source !== "dynamic") continue;
+            total++;
+            if (room.owner === owner) owned++;
+        }
+        if (total >= config.maxRooms)
+            return { error: "Room limit reached", limited: true };
+        if (owned >= config.maxRoomsPerClient)
+            return { error: "You own too many rooms", limited: true };
+        return null;
+    }
+
+    /**
+     * Создаёт динамическую комнату. Возвращает { room } или { error }.
+     * С opts.limited действуют лимиты maxRooms и maxRoomsPerClient.
+     */
+    async function createRoom(roomId, opts = {}) {
+        if (typeof roomId !== "string" || !ROOM_ID_RE.test(roomId))
+            return { error: "Invalid room ID" };
+        if (roomRegistry.has(roomId)) return { error: "Room already exists" };
+        const limitError = opts.limited && roomLimitError(opts.owner);
+        if (limitError) return limitError;
+        const passwordHash = opts.password
+            ? await hashPassword(String(opts.password))
+            : null;
+        // Пока считался хеш, параллельные запросы могли занять ID или лимит
+        if (roomRegistry.has(roomId)) return { error: "Room already exists" };
+        const lateLimitError = opts.limited && roomLimitError(opts.owner);
+        if (lateLimitError) return lateLimitError;
+        const room = makeRoom(roomId, {
+            ...opts,
+            passwordHash,
+            source: "dynamic",
+        });
+        const ownerKey = issueOwnerKey(room);
+        roomRegistry.set(roomId, room);
+        saveRoomRegistry();
+        publishRoom(roomId);
+        log.info("🏠 Room created", { room: roomId });
+        return { room, ownerKey };
+    }
+
+    /**
+     * Меняет динамическую комнату. Комнаты из rooms.txt не сохраняются
+     * в реестр, поэтому их правка пропала бы после перезапуска.
+     */
+    async function updateRoom(roomId, patch = {}) {
+        if (!roomRegistry.has(roomId)) return { error: "Room not found" };
+        if (roomRegistry.get(roomId).source === "file")
+            return { error: "Room is defined in rooms.txt" };
+        const passwordHash = patch.password
+            ? await hashPassword(String(patch.password))
+            : null;
+        const room = roomRegistry.get(roomId);
+        if (!room) return { error: "Room not found" };
+        if (room.source === "file")
+            return { error: "Room is defined in rooms.txt" };
+        if (typeof patch.name === "string" && patch.name)
+            room.name = patch.name;
+        if ("password" in patch) room.passwordHash = passwordHash;
+        if ("maxMembers" in patch)
+            room.maxMembers = parsePositiveInt(patch.maxMembers);
+        if ("ttl" in patch) room.ttl = parsePositiveInt(patch.ttl);
+        let ownerKey;
+        if ("owner" in patch) {
+            room.owner = typeof patch.owner === "string" ? patch.owner : null;
+            ownerKey = issueOwnerKey(room);
+        }
+        saveRoomRegistry();
+        publishRoom(roomId);
+        return { room, ownerKey };
+    }
+
+    /**
+     * Удаляет динамическую комнату на всех узлах и отключает участников.
+     * Комнаты из rooms.txt удаляются только правкой файла.
+     */
+    function deleteRoom(roomId, reason = "Room deleted") {
+        const room = roomRegistry.get(roomId);
+        if (!room) return { error: "Room not found" };
+        if (room.source === "file")
+            return { error: "Room is defined in rooms.txt" };
+        dropRoom(roomId, reason);
+        publishRoom(roomId);
+        return { room };
+    }
+
+    // Убирает комнату вместе с состоянием только на этом узле
+    function dropRoom(roomId, reason) {
+        for (const client of rooms.get(roomId) ?? []) {
+            clearTimeout(client._graceTimer);
+            client.close(CLOSE_CODES.ROOM_DELETED, reason);
+        }
+        rooms.delete(roomId);
+        roomRegistry.delete(roomId);
+        roomState.delete(roomId);
+        publishedStates.delete(roomId);
+        clearTimeout(advanceTimers.get(roomId));
+        advanceTimers.delete(roomId);
+        saveRoomRegistry();
+        log.info("🗑️ Room deleted", { room: roomId, reason });
+    }
+
+    function expireRooms() {
+        const now = Date.now();
+        for (const room of [...roomRegistry.values()]) {
+            if (room.source !== "dynamic" || !room.ttl) continue;
+            // Комната общая: пока в ней есть участники на других узлах,
+            // она не пустая
+            if (rooms.get(room.roomId)?.size) continue;
+            if (remoteMembers(room.roomId).length) {
+                room.emptySince = now;
+                continue;
+            }
+            if (now - room.emptySince > room.ttl * 1000)
+                deleteRoom(room.roomId, "Room expired");
+        }
+    }
+
+    const roomSweepTimer = setInterval(() => {
+        expireRooms();
+        expireModeration();
+    }, ROOM_SWEEP_INTERVAL_MS);
+
+    function listClients() {
+        const result = {};
+        for (const [roomId, cls] of rooms) {
+            result[roomId] = [...cls].map((c) => ({
+                clientId: c._clientId,
+                role: getRole(roomId, c._clientId),
+                rtt: c._rtt ?? null,
+                profile: c._profile ?? null,
+                connected: !c._disconnectedAt,
+                lastSeen: c._lastSeen ?? null,
+            }));
+        }
+        return result;
+    }
+
+    function describeRoom(roomId) {
+        if (!roomState.has(roomId)) return null;
+        const st = getRoomState(roomId);
+        return {
+            roomId,
+            trackId: st.trackId,
+            playing: st.playing,
+            position: currentPosition(st),
+            duration: st.duration,
+            meta: st.meta,
+            queue: st.queue,
+            owner: st.owner,
+            djs: st.djs,
+        };
+    }
+
+    /**
+     * Меняет состояние комнаты от имени администратора.
+     * Новый trackId сбрасывает позицию и запускает воспроизведение.
+     */
+    function setRoomState(
+        roomId,
+        { trackId, duration, meta, playing, position },
+    ) {
+        const state = getRoomState(roomId);
+        snapshotPosition(state);
+        if (trackId != null)
+            startTrack(
+                roomId,
+                { trackId: String(trackId), duration, meta },
+                "server-admin",
+            );
+        if (typeof playing === "boolean") state.playing = playing;
+        if (position != null) state.position = parseFloat(position) || 0;
+        audit(roomId, "admin_state", "admin", {
+            trackId: state.trackId,
+            playing: state.playing,
+            position: currentPosition(state),
+        });
+        broadcastStateSync(roomId, "server-admin");
+    }
+
+    function deleteChatMessage(roomId, id) {
+        if (!roomState.has(roomId) || !chatRemove(roomId, id)) return false;
+        broadcastToRoom(roomId, { type: "chat_deleted", id });
+        log.info("🧹 Chat message deleted", { room: roomId, id });
+        audit(roomId, "chat_delete", "admin", { id });
+        return true;
+    }
+
+    /**
+     * Рассылает server_notice в комнату или во все комнаты ("all").
+     * Возвращает число клиентов этого узла, получивших сообщение.
+     */
+    function announce(target, text) {
+        const roomIds = target === "all" ? [...roomRegistry.keys()] : [target];
+        const msg = { type: "server_notice", text, ts: Date.now() };
+        let sent = 0;
+        for (const roomId of roomIds) {
+            sent += broadcastAll(roomId, msg);
+            audit(roomId, "announce", "admin", { text });
+        }
+        log.info("📢 Announcement", { room: target, recipients: sent, text });
+        return sent;
+    }
+
+    function kickLocal(roomId, clientId, reason) {
+        let kicked = 0;
+        for (const client of [...(rooms.get(roomId) ?? [])]) {
+            if (client._clientId !== clientId) continue;
+            client._noResume = true;
+            if (client._disconnectedAt) removeClient(client);
+            else client.close(CLOSE_CODES.KICKED, reason);
+            kicked++;
+        }
+        return kicked;
+    }
+
+    // Кик доходит и до других узлов; их сокеты учитываются одним
+    function kickClient(roomId, clientId, reason = "Kicked", actor = "admin") {
+        publishRoomEvent(roomId, { event: "kick", clientId, reason });
+        const remote = remoteMembers(roomId).some(
+            (m) => m.clientId === clientId,
+        );
+        const kicked = kickLocal(roomId, clientId, reason) + (remote ? 1 : 0);
+        if (kicked) {
+            log.info("👢 Client kicked", { room: roomId, clientId, actor });
+            audit(roomId, "kick", actor, { target: clientId, reason });
+        }
+        return kicked;
+    }
+
+    // ─── Moderation ───────────────────────────────────────────────────────
+
+    const BANS_FILE = config.bansFile
+        ? path.resolve(__dirname, config.bansFile)
+        : null;
+    const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+    // { id, room (null — все комнаты), clientId, ip, ipHash, until (null — навсегда), by, createdAt }
+    let bans = [];
+    let banSeq = 0;
+
+    /**
+     * "90", "10m", "2h", "7d" → миллисекунды. null — строка не похожа на срок.
+     */
+    function parseDurationSpec(value) {
+        const match = /^(\d+)([smhd]?)$/.exec(String(value));
+        if (!match) return null;
+        return Number(match[1]) * DURATION_UNITS[match[2] || "s"] * 1000;
+    }
+
+    function normalizeIp(ip) {
+        return ip?.startsWith("::ffff:") ? ip.slice("::ffff:".length) : ip;
+    }
+
+    function loadBans() {
+        if (!BANS_FILE || !fs.existsSync(BANS_FILE)) return;
+        try {
+            const saved = JSON.parse(fs.readFileSync(BANS_FILE, "utf8"));
+            bans = Array.isArray(saved) ? saved : [];
+        } catch (e) {
+            log.warn("⚠️ Failed to parse bans file", {
+                file: BANS_FILE,
+                error: e.message,
+            });
+        }
+        for (const ban of bans) banSeq = Math.max(banSeq, ban.id);
+        if (bans.length) log.info("🚷 Loaded bans", { bans: bans.length });
+    }
+
+    function saveBans() {
+        if (!BANS_FILE) return;
+        try {
+            fs.writeFileSync(BANS_FILE, JSON.stringify(bans, null, 4));
+        } catch (e) {
+            log.warn("⚠️ Bans save failed", { error: e.message });
+        }
+    }
+
+    // Остальные узлы получают весь список — он небольшой
+    function publishBans() {
+        if (backplane.hasPeers())
+            backplane.publish(
+                JSON.stringify({ node: NODE_ID, event: "bans", bans }),
+            );
+    }
+
+    function findBan(roomId, { clientId, ip }) {
+        const now = Date.now();
+        ip = normalizeIp(ip);
+        return (
+            bans.find(
+                (ban) =>
+                    (ban.room === null || ban.room === roomId) &&
+                    (!ban.until || ban.until > now) &&
+                    ((ban.clientId && ban.clientId === clientId) ||
+                        (ban.ip && ban.ip === ip) ||
+                        (ban.ipHash && ban.ipHash === ipHash(ip))),
+            ) ?? null
+        );
+    }
+
+    // Выгоняет уже подключённых участников, попавших под бан
+    function enforceBans() {
+        for (const roomClients of rooms.values()) {
+            for (const client of [...roomClients]) {
+                const ban = findBan(client._roomId, {
+                    clientId: client._clientId,
+                    ip: client._ip,
+                });
+                // _noResume — сокет уже закрывается
+                if (!ban || client._noResume) continue;
+                log.info("🚷 Banned client removed", {
+                    room: client._roomId,
+                    clientId: client._clientId,
+                    ban: ban.id,
+                });
+                client._noResume = true;
+                if (client._disconnectedAt) removeClient(client);
+                else client.close(CLOSE_CODES.BANNED, "Banned");
+            }
+        }
+    }
+
+    /**
+     * Банит { clientId } и/или { ip } в комнате или во всех комнатах
+     * (roomId = null). ipHash — IP, известный только по хешу.
+     * durationMs = null — бессрочно.
+     */
+    function banTarget(
+        roomId,
+        { clientId = null, ip = null, ipHash: hashedIp = null },
+        durationMs,
+        actor,
+    ) {
+        const target = clientId ?? normalizeIp(ip);
+        const ban = {
+            id: ++banSeq,
+            room: roomId,
+            clientId,
+            ip: normalizeIp(ip),
+            ipHash: hashedIp,
+            until: durationMs ? Date.now() + durationMs : null,
+            by: actor,
+            createdAt: Date.now(),
+        };
+        bans.push(ban);
+        saveBans();
+        publishBans();
+        log.info("🚷 Ban added", {
+            ban: ban.id,
+            room: roomId ?? null,
+            target,
+            until: ban.until ? new Date(ban.until).toISOString() : null,
+            actor,
+        });
+        if (roomId)
+            audit(roomId, "ban", actor, {
+                target,
+                id: ban.id,
+                until: ban.until,
+            });
+        enforceBans();
+        return ban;
+    }
+
+    function unban(id, actor) {
+        const ban = bans.find((b) => b.id === id);
+        if (!ban) return null;
+        bans = bans.filter((b) => b !== ban);
+        saveBans();
+        publishBans();
+        log.info("🚷 Ban lifted", { ban: id, actor });
+        if (ban.room)
+            audit(ban.room, "unban", actor, {
+                target: ban.clientId ?? ban.ip,
+                id,
+            });
+        return ban;
+    }
+
+    function replaceBans(list) {
+        if (!Array.isArray(list)) return;
+        bans = list;
+        for (const ban of bans) banSeq = Math.max(banSeq, ban.id);
+        saveBans();
+        enforceBans();
+    }
+
+    function isMuted(roomId, clientId) {
+        const muted = getRoomState(roomId).muted;
+        if (!(clientId in muted)) return false;
+        return muted[clientId] === null || muted[clientId] > Date.now();
+    }
+
+    function broadcastMutes(roomId) {
+        broadcastAll(roomId, {
+            type: "mutes_update",
+            muted: getRoomState(roomId).muted,
+        });
+    }
+
+    /**
+     * Заглушённый участник остаётся в комнате, но не может управлять
+     * воспроизведением и писать в чат.
+     */
+    function muteClient(roomId, clientId, durationMs, actor) {
+        const until = durationMs ? Date.now() + durationMs : null;
+        getRoomState(roomId).muted[clientId] = until;
+        log.info("🔇 Client muted", { room: roomId, clientId, actor });
+        audit(roomId, "mute", actor, { target: clientId, until });
+        broadcastMutes(roomId);
+    }
+
+    function unmuteClient(roomId, clientId, actor) {
+        const muted = getRoomState(roomId).muted;
+        if (!(clientId in muted)) return false;
+        delete muted[clientId];
+        log.info("🔊 Client unmuted", { room: roomId, clientId, actor });
+        audit(roomId, "unmute", actor, { target: clientId });
+        broadcastMutes(roomId);
+        return true;
+    }
+
+    function expireModeration() {
+        const now = Date.now();
+        const active = bans.filter((ban) => !ban.until || ban.until > now);
+        if (active.length !== bans.length) {
+            bans = active;
+            saveBans();
+        }
+        for (const [roomId, state] of roomState) {
+            let changed = false;
+            for (const [clientId, until] of Object.entries(state.muted)) {
+                if (until === null || until > now) continue;
+                delete state.muted[clientId];
+                changed = true;
+            }
+            if (changed) broadcastMutes(roomId);
+        }
+    }
+
+    loadBans();
+
+    // ─── Join authentication ──────────────────────────────────────────────
+
+    const AUTH_TIMEOUT_MS = 5000;
+
+    function tokenSignature(body) {
+        return crypto
+            .createHmac("sha256", config.tokenSecret)
+            .update(body)
+            .digest("base64url");
+    }
+
+    /**
+     * Выдаёт подписанный токен <payload>.<hmac>, привязывающий clientId
+     * к комнате до истечения срока. Без tokenSecret токены отключены.
+     */
+    function issueJoinToken(roomId, clientId, ttl = config.tokenTtl) {
+        if (!config.tokenSecret) return null;
+        const exp =
+            Math.floor(Date.now() / 1000) + (parsePositiveInt(ttl) ?? 0);
+        const body = Buffer.from(
+            JSON.stringify({ room: roomId, clientId, exp }),
+        ).toString("base64url");
+        return {
+            token: `${body}.${tokenSignature(body)}`,
+            expiresAt: exp * 1000,
+        };
+    }
+
+    function verifyJoinToken(token) {
+        const invalid = {
+            code: CLOSE_CODES.INVALID_TOKEN,
+            reason: "Invalid token",
+        };
+        if (!config.tokenSecret || typeof token !== "string") return invalid;
+        const [body, sig] = token.split(".");
+        if (!body || !sig) return invalid;
+        const given = Buffer.from(sig);
+        const expected = Buffer.from(tokenSignature(body));
+        if (
+            given.length !== expected.length ||
+            !crypto.timingSafeEqual(given, expected)
+        )
+            return invalid;
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(body, "base64url").toString());
+        } catch {
+            return invalid;
+        }
+        if (!payload.exp || payload.exp * 1000 < Date.now())
+            return { code: CLOSE_CODES.TOKEN_EXPIRED, reason: "Token expired" };
+        return { payload };
+    }
+
+    function needsAuth(room) {
+        return Boolean(room.passwordHash) || config.requireToken;
+    }
+
+    /**
+     * Проверяет учётные данные подключения.
+     * Возвращает { clientId } или { code, reason } для ws.close().
+     * Валидный токен заменяет пароль комнаты.
+     */
+    async function checkAuth(room, requestedId, { password, token }, ip) {
+        if (token) {
+            const result = verifyJoinToken(token);
+            if (!result.payload) return result;
+            const { payload } = result;
+            if (
+                payload.room !== room.roomId ||
+                (requestedId && payload.clientId !== requestedId)
+            )
+                return {
+                    code: CLOSE_CODES.TOKEN_MISMATCH,
+                    reason: "Token does not match room or clientId",
+                };
+            return { clientId: payload.clientId, viaToken: true };
+        }
+        if (config.requireToken)
+            return {
+                code: CLOSE_CODES.AUTH_REQUIRED,
+                reason: "Token required",
+            };
+        if (room.passwordHash) {
+            // Токен списывается до проверки и возвращается при успехе,
+            // так что параллельные попытки тоже упираются в лимит
+            const key = `${ip} auth`;
+            const limit = rateLimitFor("ip", "auth");
+            if (!takeToken(ipBuckets, key, limit))
+                return {
+                    code: CLOSE_CODES.RATE_LIMITED,
+                    reason: "Too many failed attempts",
+                };
+            if (!(await verifyPassword(password ?? "", room.passwordHash)))
+                return {
+                    code: CLOSE_CODES.WRONG_PASSWORD,
+                    reason: "Wrong password",
+                };
+            const bucket = ipBuckets.get(key);
+            if (bucket)
+                bucket.tokens = Math.min(limit.burst, bucket.tokens + 1);
+        }
+        return { clientId: requestedId || `client_${crypto.randomUUID()}` };
+    }
+
+    // ─── HTTPS + WebSocket server ─────────────────────────────────────────
+
+    // Коды закрытия соединения, которые видит клиент
+    const CLOSE_CODES = {
+        ROOM_NOT_FOUND: 4001,
+        KICKED: 4002,
+        WRONG_PASSWORD: 4003,
+        ROOM_FULL: 4004,
+        ROOM_DELETED: 4005,
+        INVALID_TOKEN: 4006,
+        TOKEN_EXPIRED: 4007,
+        TOKEN_MISMATCH: 4008,
+        AUTH_REQUIRED: 4009,
+        SESSION_REPLACED: 4010,
+        IDLE: 4011,
+        RATE_LIMITED: 4012,
+        SERVER_SHUTDOWN: 4013,
+        BANNED: 4014,
+        SESSION_IN_USE: 4015,
+    };
+
+    // При tls: "none" это обычный http.Server — TLS снимает прокси
+    const httpsServer = tlsOptions
+        ? https.createServer(tlsOptions)
+        : http.createServer();
+    const unwatchCertificates = tlsOptions
+        ? watchCertificates(httpsServer)
+        : () => {};
+    const wss = new WebSocketServer({
+        server: httpsServer,
+        maxPayload: config.maxPayloadBytes,
+        // Лимит соединений с одного IP — отказ ещё на этапе upgrade
+        verifyClient: (info, cb) => {
+            const open = ipConnections.get(clientIp(info.req)) ?? 0;
+            if (
+                config.maxConnectionsPerIp &&
+                open >= config.maxConnectionsPerIp
+            ) {
+                log.warn("🚫 Rejected: too many connections", {
+                    ip: clientIp(info.req),
+                });
+                increment(metrics.rejected, 429);
+                cb(false, 429, "Too many connections");
+                return;
+            }
+            cb(true);
+        },
+    });
+
+    // ─── HTTP admin API ───────────────────────────────────────────────────
+
+    const API_BODY_LIMIT = 64 * 1024;
+
+    function sendJson(res, status, body) {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(body));
+    }
+
+    function readJsonBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            req.on("data", (c) => {
+                size += c.length;
+                if (size > API_BODY_LIMIT) {
+                    reject(new Error("Body too large"));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(c);
+            });
+            req.on("end", () => {
+                if (size === 0) return resolve({});
+                try {
+                    resolve(JSON.parse(Buffer.concat(chunks).toString()));
+                } catch {
+                    reject(new Error("Invalid JSON"));
+                }
+            });
+            req.on("error", reject);
+        });
+    }
+
+    function isAuthorized(req) {
+        const match = /^Bearer (.+)$/.exec(req.headers.authorization || "");
+        if (!match) return false;
+        const given = Buffer.from(match[1]);
+        const expected = Buffer.from(config.adminToken);
+        return (
+            given.length === expected.length &&
+            crypto.timingSafeEqual(given, expected)
+        );
+    }
+
+    function requireRoom(roomId) {
+        if (!roomExists(roomId)) return [404, { error: "Room not found" }];
+        return null;
+    }
+
+    // { error } от createRoom/updateRoom/deleteRoom → HTTP-ответ
+    function roomResult(result, okStatus = 200) {
+        if (result.error === "Room not found") return [404, result];
+        if (result.error) return [400, result];
+        const info = publicRoomInfo(result.room);
+        if (result.ownerKey) info.ownerKey = result.ownerKey;
+        return [okStatus, info];
+    }
+
+    // [method, path, handler(params, body)] → [status, body, contentType?]
+    // Без contentType тело отдаётся как JSON
+    const apiRoutes = [
+        ["GET", /^\/api\/rooms$/, () => [200, listRooms()]],
+        [
+            "POST",
+            /^\/api\/rooms$/,
+            async (params, body) =>
+                roomResult(await createRoom(body.roomId, body), 201),
+        ],
+        [
+            "PATCH",
+            /^\/api\/rooms\/([^/]+)$/,
+            async ([roomId], body) =>
+                roomResult(await updateRoom(roomId, body)),
+        ],
+        [
+            "DELETE",
+            /^\/api\/rooms\/([^/]+)$/,
+            ([roomId]) => roomResult(deleteRoom(roomId)),
+        ],
+        ["GET", /^\/api\/clients$/, () => [200, listClients()]],
+        [
+            "POST",
+            /^\/api\/tokens$/,
+            (params, body) => {
+                const notFound = requireRoom(body.room);
+                if (notFound) return notFound;
+                if (!body.clientId || typeof body.clientId !== "string")
+                    return [400, { error: "clientId is required" }];
+                const issued = issueJoinToken(
+                    body.room,
+                    body.clientId,
+                    body.ttl,
+                );
+                if (!issued) return [400, { error: "tokenSecret is not set" }];
+                return [201, issued];
+            },
+        ],
+        [
+            "GET",
+            /^\/api\/rooms\/([^/]+)\/state$/,
+            ([roomId]) =>
+                requireRoom(roomId) || [
+                    200,
+                    describeRoom(roomId) ?? { roomId, trackId: null },
+                ],
+        ],
+        [
+            "PUT",
+            /^\/api\/rooms\/([^/]+)\/state$/,
+            ([roomId], body) => {
+                const notFound = requireRoom(roomId);
+                if (notFound) return notFound;
+                setRoomState(roomId, { ...body, meta: parseTrackMeta(body) });
+                return [200, describeRoom(roomId)];
+            },
+        ],
+        [
+            "POST",
+            /^\/api\/rooms\/([^/]+)\/navigate$/,
+            ([roomId], body) => {
+                const notFound = requireRoom(roomId);
+                if (notFound) return notFound;
+                if (!body.trackId || typeof body.trackId !== "string")
+                    return [400, { error: "trackId is required" }];
+                setRoomState(roomId, {
+                    trackId: body.trackId,
+                    duration: body.duration,
+                    meta: parseTrackMeta(body),
+                });
+                log.info("📤 Admin navigate", {
+                    room: roomId,
+                    trackId: body.trackId,
+                });
+                return [200, describeRoom(roomId)];
+            },
+        ],
+        [
+            "GET",
+            /^\/api\/rooms\/([^/]+)\/history$/,
+            ([roomId]) =>
+                requireRoom(roomId) || [
+                    200,
+                    roomState.get(roomId)?.history ?? [],
+                ],
+        ],
+        [
+            "GET",
+            /^\/api\/rooms\/([^/]+)\/history\.csv$/,
+            ([roomId]) =>
+                requireRoom(roomId) || [
+                    200,
+                    historyToCsv(roomState.get(roomId)?.history ?? []),
+                    "text/csv; charset=utf-8",
+                ],
+        ],
+        [
+            "GET",
+            /^\/api\/rooms\/([^/]+)\/chat$/,
+            ([roomId]) =>
+                requireRoom(roomId) || [200, roomState.get(roomId)?.chat ?? []],
+        ],
+        [
+            "DELETE",
+            /^\/api\/rooms\/([^/]+)\/chat\/(\d+)$/,
+            ([roomId, id]) => {
+                if (!deleteChatMessage(roomId, Number(id)))
+                    return [404, { error: "Message not found" }];
+                return [200, { deleted: Number(id) }];
+            },
+        ],
+        [
+            "DELETE",
+            /^\/api\/rooms\/([^/]+)\/clients\/([^/]+)$/,
+            ([roomId, clientId]) => {
+                const kicked = kickClient(roomId, clientId);
+                if (!kicked) return [404, { error: "Client not found" }];
+                return [200, { kicked }];
+            },
+        ],
+    ];
+
+    async function handleApiRequest(req, res, url) {
+        if (!config.adminToken)
+            return sendJson(res, 403, { error: "Admin API disabled" });
+        if (!isAuthorized(req))
+            return sendJson(res, 401, { error: "Unauthorized" });
+
+        for (const [method, pattern, handler] of apiRoutes) {
+            const match = pattern.exec(url.pathname);
+            if (!match) continue;
+            if (req.method !== method) continue;
+            let body = {};
+            if (method === "PUT" || method === "POST" || method === "PATCH") {
+                try {
+                    body = await readJsonBody(req);
+                } catch (e) {
+                    return sendJson(res, 400, { error: e.message });
+                }
+            }
+            const params = match.slice(1).map(decodeURIComponent);
+            const [status, result, contentType] = await handler(params, body);
+            if (!contentType) return sendJson(res, status, result);
+            res.writeHead(status, { "Content-Type": contentType });
+            return res.end(result);
+        }
+        sendJson(res, 404, { error: "Not found" });
+    }
+
+    // ─── Avatar HTTP route ────────────────────────────────────────────────
+
+    /**
+     * GET /avatars/<room>/<clientId>.webp — отдаёт аватар из avatarCache.
+     * С ?v=<hash> ответ неизменяем и кэшируется навсегда, без него —
+     * ревалидация по ETag.
+     */
+    function serveAvatar(req, res, url) {
+        const match = /^\/avatars\/([^/]+)\/([^/]+)\.webp$/.exec(url.pathname);
+        if (!match || (req.method !== "GET" && req.method !== "HEAD")) {
+            res.writeHead(404);
+            return res.end();
+        }
+        let entry;
+        try {
+            entry = avatarCache.get(
+                avatarKey(
+                    decodeURIComponent(match[1]),
+                    decodeURIComponent(match[2]),
+                ),
+            );
+        } catch {}
+        if (!entry) {
+            res.writeHead(404);
+            return res.end();
+        }
+        const etag = `"${entry.hash}"`;
+        const headers = {
+            "Content-Type": "image/webp",
+            ETag: etag,
+            "Cache-Control":
+                url.searchParams.get("v") === entry.hash
+                    ? "public, max-age=31536000, immutable"
+                    : "no-cache",
+            "Access-Control-Allow-Origin": "*",
+        };
+        if (req.headers["if-none-match"] === etag) {
+            res.writeHead(304, headers);
+            return res.end();
+        }
+        res.writeHead(200, { ...headers, "Content-Length": entry.data.length });
+        res.end(req.method === "HEAD" ? undefined : entry.data);
+    }
+
+    function isMetricsAuthorized(req) {
+        if (!config.metricsToken) return true;
+        const expected = Buffer.from(`Bearer ${config.metricsToken}`);
+        const given = Buffer.from(req.headers.authorization ?? "");
+        return (
+            given.length === expected.length &&
+            crypto.timingSafeEqual(given, expected)
+        );
+    }
+
+    httpsServer.on("request", (req, res) => {
+        let url;
+        try {
+            url = new URL(req.url, "https://localhost");
+        } catch {
+            return sendJson(res, 400, { error: "Bad request" });
+        }
+        if (url.pathname === "/healthz") {
+            sendJson(res, 200, {
+                status: "ok",
+                uptime: Math.floor((Date.now() - STARTED_AT) / 1000),
+                rooms: roomRegistry.size,
+                clients: wss.clients.size,
+                node: NODE_ID,
+                backplane: backplane.type,
+            });
+            return;
+        }
+        if (url.pathname === "/metrics") {
+            if (!isMetricsAuthorized(req))
+                return sendJson(res, 401, { error: "Unauthorized" });
+            res.writeHead(200, {
+                "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+            });
+            res.end(formatMetrics());
+            return;
+        }
+        if (url.pathname.startsWith("/avatars/")) {
+            serveAvatar(req, res, url);
+            return;
+        }
+        if (url.pathname.startsWith("/api/")) {
+            handleApiRequest(req, res, url).catch((e) => {
+                log.warn("⚠️ API error", {
+                    method: req.method,
+                    path: url.pathname,
+                    error: e.message,
+                });
+                if (!res.headersSent) sendJson(res, 500, { error: e.message });
+            });
+            return;
+        }
+        res.writeHead(404);
+        res.end();
+    });
+
+    wss.on("connection", (ws, req) => {
+        const urlParams = new URL(req.url, "wss://localhost").searchParams;
+        const roomId = urlParams.get("room");
+        const requestedId = urlParams.get("clientId");
+
+        ws._ip = clientIp(req);
+        // До hello клиент считается legacy
+        ws._protocol = LEGACY_PROTOCOL_VERSION;
+        ws._inlineAvatars =
+            config.inlineAvatars || urlParams.get("inlineAvatars") === "1";
+        ws._buckets = new Map();
+        ws._violations = 0;
+        ws._violationsSince = Date.now();
+        ipConnections.set(ws._ip, (ipConnections.get(ws._ip) ?? 0) + 1);
+        ws.once("close", () => {
+            const open = ipConnections.get(ws._ip) - 1;
+            if (open > 0) ipConnections.set(ws._ip, open);
+            else ipConnections.delete(ws._ip);
+        });
+
+        const reject = (code, reason) => {
+            increment(metrics.rejected, code);
+            ws.close(code, reason);
+        };
+
+        ws._lastSeen = ws._lastActivity = Date.now();
+        ws.on("pong", (data) => {
+            ws._lastSeen = Date.now();
+            recordRtt(ws, ws._lastSeen - parseInt(data.toString(), 10));
+        });
+
+        if (!roomExists(roomId)) {
+            log.warn("🚫 Rejected: room does not exist", {
+                room: roomId,
+                ip: ws._ip,
+            });
+            reject(CLOSE_CODES.ROOM_NOT_FOUND, "Room not found");
+            return;
+        }
+
+        const admit = async (creds) => {
+            if (!roomExists(roomId)) {
+                reject(CLOSE_CODES.ROOM_NOT_FOUND, "Room not found");
+                return;
+            }
+            // Пока считается scrypt, сообщения ждут в сокете, а не теряются
+            ws.pause();
+            const result = await checkAuth(
+                roomRegistry.get(roomId),
+                requestedId,
+                creds,
+                ws._ip,
+            );
+            ws.resume();
+            if (ws.readyState !== 1) return;
+            const room = roomRegistry.get(roomId);
+            if (!room) {
+                reject(CLOSE_CODES.ROOM_NOT_FOUND, "Room not found");
+                return;
+            }
+            if (!result.clientId) {
+                log.warn("🚫 Rejected: authentication failed", {
+                    room: roomId,
+                    clientId: requestedId || null,
+                    reason: result.reason,
+                });
+                reject(result.code, result.reason);
+                return;
+            }
+            const ban = findBan(roomId, {
+                clientId: result.clientId,
+                ip: ws._ip,
+            });
+            if (ban) {
+                log.warn("🚫 Rejected: banned", {
+                    room: roomId,
+                    clientId: result.clientId,
+                    ban: ban.id,
+                });
+                reject(CLOSE_CODES.BANNED, "Banned");
+                return;
+            }
+            const session = {
+                resume: creds.resume,
+                viaToken: result.viaToken,
+                ownsRoom: provesOwnership(
+                    room,
+                    result.clientId,
+                    creds.ownerKey,
+                ),
+            };
+            if (!mayTakeOver(roomId, result.clientId, session, ws._ip)) {
+                log.warn("🚫 Rejected: clientId already in use", {
+                    room: roomId,
+                    clientId: result.clientId,
+                });
+                reject(
+                    CLOSE_CODES.SESSION_IN_USE,
+                    "clientId is already in use",
+                );
+                return;
+            }
+            // Переподключение с тем же clientId место не занимает
+            const members = roomMemberIds(roomId);
+            if (
+                room.maxMembers &&
+                !members.includes(result.clientId) &&
+                members.length >= room.maxMembers
+            ) {
+                log.warn("🚫 Rejected: room is full", {
+                    room: roomId,
+                    clientId: result.clientId,
+                });
+                reject(CLOSE_CODES.ROOM_FULL, "Room is full");
+                return;
+            }
+            if (needsAuth(room)) {
+                // Токен на переподключение без пароля
+                const issued = issueJoinToken(roomId, result.clientId);
+                ws.send(
+                    JSON.stringify({
+                        type: "auth_ok",
+                        clientId: result.clientId,
+                        token: issued?.token ?? null,
+                    }),
+                );
+            }
+            joinRoom(ws, roomId, result.clientId, session);
+        };
+
+        const room = roomRegistry.get(roomId);
+        const creds = {
+            password: urlParams.get("password"),
+            token: urlParams.get("token"),
+            resume: urlParams.get("resume"),
+            ownerKey: urlParams.get("ownerKey"),
+        };
+        if (!needsAuth(room) || creds.password != null || creds.token != null) {
+            admit(creds);
+            return;
+        }
+
+        // Учётных данных в URL нет — ждём первым сообщением { type: "auth" }
+        const authTimer = setTimeout(
+            () => reject(CLOSE_CODES.AUTH_REQUIRED, "Authentication required"),
+            AUTH_TIMEOUT_MS,
+        );
+        ws.once("close", () => clearTimeout(authTimer));
+        ws.once("message", (data, isBinary) => {
+            clearTimeout(authTimer);
+            let msg = null;
+            try {
+                if (!isBinary) msg = JSON.parse(data.toString());
+            } catch {}
+            if (msg?.type !== "auth") {
+                reject(CLOSE_CODES.AUTH_REQUIRED, "Authentication required");
+                return;
+            }
+            admit({
+                password: msg.password ?? null,
+                token: msg.token ?? null,
+                resume: msg.resume ?? creds.resume,
+                ownerKey: msg.ownerKey ?? creds.ownerKey,
+            });
+        });
+    });
+
+    /**
+     * Добавляет прошедшее проверку соединение в комнату:
+     * рассылает client_joined, отправляет снапшот и вешает обработчики.
+     * session — { resume, viaToken }, уже проверенные mayTakeOver,
+     * и ownsRoom — предъявлен ли ключ владельца.
+     */
+    function joinRoom(ws, roomId, clientId, session) {
+        const room = roomRegistry.get(roomId);
+        room.emptySince = null;
+
+        ws._roomId = roomId;
+        ws._clientId = clientId;
+        ws._avatar = null;
+        ws._profile = profileCache.get(avatarKey(roomId, clientId)) ?? null;
+
+        const roomClients = getRoomClients(roomId);
+
+        // Тот же clientId уже в комнате (живой сокет или grace-период) —
+        // новое соединение занимает его место без client_left/client_joined
+        const previous = findMember(roomId, clientId);
+        const missed = previous?._missed ?? [];
+        if (previous) {
+            clearTimeout(previous._graceTimer);
+            previous._replaced = true;
+            roomClients.delete(previous);
+            if (!previous._disconnectedAt)
+                previous.close(
+                    CLOSE_CODES.SESSION_REPLACED,
+                    "Replaced by a new connection",
+                );
+            ws._avatar = previous._avatar;
+            ws._profile = previous._profile;
+        }
+        ws._ownsRoom = session.ownsRoom || Boolean(previous?._ownsRoom);
+        // Секрет живёт столько же, сколько сессия: при переходе с другого
+        // узла клиент предъявил его, если он совпал с хешем из presence
+        const moved = remoteMembers(roomId).find(
+            (m) => m.clientId === clientId,
+        );
+        const movedWithSecret =
+            moved && sameHash(resumeHash(session.resume), moved.resumeHash);
+        ws._resumeSecret =
+            previous?._resumeSecret ??
+            (movedWithSecret
+                ? session.resume
+                : crypto.randomBytes(18).toString("base64url"));
+
+        roomClients.add(ws);
+        log.info(previous ? "🔁 Client resumed" : "✅ Client joined", {
+            room: roomId,
+            clientId,
+            members: roomClients.size,
+        });
+        // Тот же clientId мог остаться на другом узле
+        if (!previous)
+            publishRoomEvent(roomId, {
+                event: "claim",
+                clientId,
+                verified: Boolean(session.viaToken),
+                resumeHash: resumeHash(ws._resumeSecret),
+                ipHash: ipHash(ws._ip),
+            });
+        publishPresence();
+
+        // Первый зашедший становится владельцем, если он не назначен в конфиге
+        // (или если владелец из сохранённого состояния сейчас не в комнате)
+        const state = getRoomState(roomId);
+        reassignOwner(roomId);
+
+        if (!previous) {
+            broadcastToRoom(
+                roomId,
+                {
+                    type: "client_joined",
+                    clientId,
+                    profile: ws._profile,
+                    role: getRole(roomId, clientId),
+                    roles: roomRoles(roomId),
+                },
+                ws,
+            );
+        }
+        ws.send(
+            JSON.stringify({
+                type: "server_info",
+                name: config.name || null,
+                room: publicRoomInfo(room),
+                resumeSecret: ws._resumeSecret,
+            }),
+        );
+        ws.send(JSON.stringify({ type: "roles_update", ...roomRoles(roomId) }));
+
+        // Отправить существующих участников + их аватары
+        for (const member of roomClients) {
+            if (member === ws) continue;
+            const avatarEntry =
+                member._avatar ||
+                avatarCache.get(avatarKey(roomId, member._clientId)) ||
+                null;
+            if (avatarEntry && !member._avatar) member._avatar = avatarEntry;
+            ws.send(
+                JSON.stringify({
+                    type: "client_joined",
+                    clientId: member._clientId,
+                    ...avatarFields(roomId, member._clientId, avatarEntry, ws),
+                    profile: member._profile ?? null,
+                    role: getRole(roomId, member._clientId),
+                    roles: roomRoles(roomId),
+                }),
+            );
+        }
+        for (const member of remoteMembers(roomId)) {
+            if (findMember(roomId, member.clientId)) continue;
+            const avatarEntry =
+                avatarCache.get(avatarKey(roomId, member.clientId)) ?? null;
+            ws.send(
+                JSON.stringify({
+                    type: "client_joined",
+                    clientId: member.clientId,
+                    ...avatarFields(roomId, member.clientId, avatarEntry, ws),
+                    profile: member.profile ?? null,
+                    role: getRole(roomId, member.clientId),
+                    roles: roomRoles(roomId),
+                }),
+            );
+        }
+
+        // Отправить эталонное состояние новому участнику
+        if (state.trackId) {
+            ws.send(JSON.stringify(stateSyncMessage(roomId, "server", ws)));
+        }
+        if (state.queue.length > 0) {
+            ws.send(
+                JSON.stringify({ type: "queue_update", queue: state.queue }),
+            );
+        }
+        if (state.chat.length > 0) {
+            ws.send(
+                JSON.stringify({ type: "chat_history", messages: state.chat }),
+            );
+        }
+        if (state.suggestions.length > 0) {
+            ws.send(
+                JSON.stringify({
+                    type: "suggestions_update",
+                    suggestions: sortedSuggestions(roomId),
+                }),
+            );
+        }
+        // Новый участник поднимает порог — остальным нужен новый needed
+        if (state.skipVotes.length > 0) broadcastSkipVotes(roomId);
+        if (Object.keys(state.muted).length > 0) {
+            ws.send(
+                JSON.stringify({ type: "mutes_update", muted: state.muted }),
+            );
+        }
+
+        // Сообщения, пропущенные за время отключения
+        if (previous) {
+            ws.send(
+                JSON.stringify({
+                    type: "session_resumed",
+                    missed: missed.length,
+                }),
+            );
+            for (const msg of missed) ws.send(msg);
+        }
+
+        ws.on("message", async (data, isBinary) => {
+            const receivedAt = Date.now();
+            ws._lastSeen = ws._lastActivity = receivedAt;
+            // Binary = аватар
+            if (isBinary) {
+                increment(metrics.messages, "binary");
+                if (!allowMessage(ws, "avatar")) return;
+                if (isMuted(roomId, clientId)) {
+                    sendError(ws, "MUTED", "You are muted in this room");
+                    return;
+                }
+                try {
+                    const processed = await processAvatar(
+                        Buffer.isBuffer(data) ? data : Buffer.from(data),
+                    );
+                    storeAvatar(ws, processed);
+                } catch (e) {
+                    sendError(
+                        ws,
+                        "AVATAR_PROCESSING_FAILED",
+                        `Avatar error: ${e.message}`,
+                    );
+                }
+                return;
+            }
+
+            const parsed = parseClientMessage(ws, data.toString().trim());
+            countMessage(parsed.msg?.type);
+            const category = parsed.msg
+                ? messageCategory(parsed.msg)
+                : "message";
+            if (!allowMessage(ws, category)) return;
+            if (parsed.error) {
+                sendError(ws, parsed.error, parsed.message);
+                return;
+            }
+            const msg = parsed.msg;
+
+            if (msg.roomId && msg.roomId !== roomId) {
+                sendError(ws, "ROOM_MISMATCH", "roomId mismatch");
+                return;
+            }
+            msg.clientId = clientId;
+
+            // Заглушённый участник только слушает
+            if (
+                (parsed.passthrough ||
+                    MUTED_TYPES.has(msg.type) ||
+                    isControlMessage(msg)) &&
+                isMuted(roomId, clientId)
+            ) {
+                sendError(ws, "MUTED", "You are muted in this room");
+                return;
+            }
+
+            // Неизвестные типы от legacy-клиентов пересылаются как есть
+            if (parsed.passthrough) {
+                broadcastToRoom(roomId, msg, ws);
+                return;
+            }
+
+            // ── hello: согласование версии протокола ──
+            if (msg.type === "hello") {
+                if (msg.protocol < LEGACY_PROTOCOL_VERSION) {
+                    sendError(
+                        ws,
+                        "UNSUPPORTED_PROTOCOL",
+                        `Protocol ${msg.protocol} is not supported`,
+                    );
+                    return;
+                }
+                ws._protocol = Math.min(msg.protocol, PROTOCOL_VERSION);
+                ws.send(
+                    JSON.stringify({
+                        type: "hello",
+                        protocol: ws._protocol,
+                        serverProtocol: PROTOCOL_VERSION,
+                        features: PROTOCOL_FEATURES,
+                    }),
+                );
+                return;
+            }
+
+            // ── time_ping: NTP-подобный обмен для расчёта RTT и смещения часов ──
+            if (msg.type === "time_ping") {
+                ws.send(
+                    JSON.stringify({
+                        type: "time_pong",
+                        t0: msg.t0 ?? null,
+                        t1: receivedAt,
+                        t2: Date.now(),
+                    }),
+                );
+                return;
+            }
+
+            // ── avatar_url ──
+            if (msg.type === "avatar_url") {
+                if (!msg.url.startsWith("http")) {
+                    increment(metrics.avatarFailures, "AVATAR_INVALID_URL");
+                    sendError(ws, "AVATAR_INVALID_URL", "Invalid avatar URL");
+                    return;
+                }
+                try {
+                    const rawBuf = await fetchUrl(msg.url);
+                    const processed = await processAvatar(rawBuf);
+                    storeAvatar(ws, processed);
+                } catch (e) {
+                    // Всё, что не AVATAR_* из fetchUrl, — ошибка sharp
+                    // (она уже посчитана в processAvatar)
+                    if (e.code?.startsWith("AVATAR_"))
+                        increment(metrics.avatarFailures, e.code);
+                    sendError(
+                        ws,
+                        e.code?.startsWith("AVATAR_")
+                            ? e.code
+                            : "AVATAR_PROCESSING_FAILED",
+                        `Failed to fetch avatar: ${e.message}`,
+                    );
+                }
+                return;
+            }
+
+            // ── create_room / delete_room ──
+            if (msg.type === "create_room") {
+                if (!config.allowRoomCreation) {
+                    sendError(
+                        ws,
+                        "ROOM_CREATION_DISABLED",
+                        "Room creation is disabled",
+                    );
+                    return;
+                }
+                const result = await createRoom(msg.room, {
+                    name: msg.name,
+                    password: msg.password,
+                    maxMembers: msg.maxMembers,
+                    ttl: msg.ttl ?? config.defaultRoomTtl,
+                    owner: clientId,
+                    limited: true,
+                });
+                if (result.error) {
+                    sendError(
+                        ws,
+                        result.limited ? "ROOM_LIMIT_REACHED" : "ROOM_ERROR",
+                        result.error,
+                    );
+                    return;
+                }
+                ws.send(
+                    JSON.stringify({
+                        type: "room_created",
+                        room: publicRoomInfo(result.room),
+                        ownerKey: result.ownerKey,
+                    }),
+                );
+                return;
+            }
+
+            if (msg.type === "delete_room") {
+                const target = roomRegistry.get(msg.room);
+                if (!provesOwnership(target, clientId, msg.ownerKey)) {
+                    sendError(
+                        ws,
+                        "PERMISSION_DENIED",
+                        "Only the room owner can delete it",
+                    );
+                    return;
+                }
+                const result = deleteRoom(msg.room);
+                if (result.error) sendError(ws, "ROOM_ERROR", result.error);
+                return;
+            }
+
+            const st = getRoomState(roomId);
+
+            // ── history: недавно сыгранные треки, новые в конце ──
+            if (msg.type === "history") {
+                const limit = Math.max(0, msg.limit ?? config.playHistorySize);
+                ws.send(
+                    JSON.stringify({
+                        type: "history",
+                        tracks: limit ? st.history.slice(-limit) : [],
+                    }),
+                );
+                return;
+            }
+
+            // ── voting ──
+            if (msg.type === "vote_skip") {
+                if (!st.trackId) {
+                    sendError(ws, "NOTHING_PLAYING", "Nothing is playing");
+                    return;
+                }
+                st.skipVotes = st.skipVotes.filter((id) => id !== clientId);
+                if (msg.vote !== false) st.skipVotes.push(clientId);
+                if (!checkSkipVotes(roomId)) broadcastSkipVotes(roomId);
+                return;
+            }
+
+            if (msg.type === "suggest") {
+                const suggestion = suggestTrack(
+                    roomId,
+                    {
+                        trackId: msg.trackId,
+                        duration: msg.duration,
+                        meta: parseTrackMeta(msg),
+                    },
+                    clientId,
+                );
+                if (!suggestion) {
+                    sendError(
+                        ws,
+                        "SUGGESTIONS_FULL",
+                        "Too many suggestions in this room",
+                    );
+                    return;
+                }
+                broadcastSuggestions(roomId);
+                return;
+            }
+
+            if (msg.type === "upvote") {
+                if (
+                    !voteSuggestion(
+                        roomId,
+                        msg.id,
+                        clientId,
+                        msg.vote !== false,
+                    )
+                ) {
+                    sendError(
+                        ws,
+                        "SUGGESTION_NOT_FOUND",
+                        "Suggestion not found",
+                    );
+                    return;
+                }
+                broadcastSuggestions(roomId);
+                return;
+            }
+
+            // ── profile ──
+            if (msg.type === "profile") {
+                const result = parseProfile(msg);
+                if (result.error) {
+                    sendError(
+                        ws,
+                        "INVALID_MESSAGE",
+                        `profile: ${result.error}`,
+                    );
+                    return;
+                }
+                storeProfile(ws, result.profile);
+                return;
+            }
+
+            // ── chat / reactions ──
+            if (msg.type === "chat") {
+                const text = msg.text.trim();
+                if (!text) {
+                    sendError(ws, "INVALID_MESSAGE", "chat: Empty message");
+                    return;
+                }
+                if (text.length > config.maxChatLength) {
+                    sendError(
+                        ws,
+                        "MESSAGE_TOO_LONG",
+                        `Chat messages are limited to ${config.maxChatLength} characters`,
+                    );
+                    return;
+                }
+                broadcastToRoom(
+                    roomId,
+                    chatAppend(roomId, { type: "chat", clientId, text }),
+                );
+                return;
+            }
+
+            if (msg.type === "reaction") {
+                if (msg.emoji.length > MAX_REACTION_LENGTH) {
+                    sendError(ws, "MESSAGE_TOO_LONG", "Reaction is too long");
+                    return;
+                }
+                const messageId = msg.messageId ?? null;
+                if (
+                    messageId !== null &&
+                    !st.chat.some(
+                        (e) => e.type === "chat" && e.id === messageId,
+                    )
+                ) {
+                    sendError(ws, "MESSAGE_NOT_FOUND", "Message not found");
+                    return;
+                }
+                // Реакция без messageId относится к текущему треку
+                broadcastToRoom(
+                    roomId,
+                    chatAppend(roomId, {
+                        type: "reaction",
+                        clientId,
+                        emoji: msg.emoji,
+                        messageId,
+                        trackId: st.trackId,
+                    }),
+                );
+                return;
+            }
+
+            // ── roles ──
+            if (
+                msg.type === "transfer_owner" ||
+                msg.type === "grant_dj" ||
+                msg.type === "revoke_dj"
+            ) {
+                if (getRole(roomId, clientId) !== "owner") {
+                    sendError(
+                        ws,
+                        "PERMISSION_DENIED",
+                        "Only the room owner can manage roles",
+                    );
+                    return;
+                }
+                const target = msg.target;
+                if (target === clientId) return;
+                // Снять диджея можно и с ушедшего, назначить — только участника
+                if (
+                    msg.type !== "revoke_dj" &&
+                    !roomMemberIds(roomId).includes(target)
+                ) {
+                    sendError(ws, "CLIENT_NOT_FOUND", "Client not found");
+                    return;
+                }
+                if (msg.type === "transfer_owner") {
+                    st.owner = target;
+                    st.djs = st.djs.filter((id) => id !== target);
+                    // Прежний владелец остаётся диджеем
+                    st.djs.push(clientId);
+                } else if (msg.type === "grant_dj") {
+                    if (!st.djs.includes(target)) st.djs.push(target);
+                } else {
+                    st.djs = st.djs.filter((id) => id !== target);
+                }
+                log.info("👑 Roles changed", {
+                    room: roomId,
+                    action: msg.type,
+                    clientId,
+                    target,
+                });
+                audit(roomId, msg.type, clientId, { target });
+                broadcastRoles(roomId);
+                return;
+            }
+
+            // ── moderation: только владелец и только в своей комнате ──
+            if (MODERATION_TYPES.has(msg.type)) {
+                if (getRole(roomId, clientId) !== "owner") {
+                    sendError(
+                        ws,
+                        "PERMISSION_DENIED",
+                        "Only the room owner can moderate",
+                    );
+                    return;
+                }
+                const target = msg.target;
+                if (target === clientId) return;
+                if (msg.duration != null && msg.duration <= 0) {
+                    sendError(
+                        ws,
+                        "INVALID_MESSAGE",
+                        "duration must be positive",
+                    );
+                    return;
+                }
+                const durationMs = msg.duration ? msg.duration * 1000 : null;
+                if (msg.type === "kick") {
+                    if (
+                        !kickClient(
+                            roomId,
+                            target,
+                            msg.reason ?? "Kicked",
+                            clientId,
+                        )
+                    )
+                        sendError(ws, "CLIENT_NOT_FOUND", "Client not found");
+                } else if (msg.type === "ban") {
+                    // Новый clientId обходит бан, поэтому баним и текущий
+                    // IP цели — владелец его не видит. Общий с владельцем
+                    // IP не банится, иначе владелец выгонит и себя
+                    const member = findMember(roomId, target);
+                    const targetIp = member
+                        ? ipHash(member._ip)
+                        : remoteMembers(roomId).find(
+                              (m) => m.clientId === target,
+                          )?.ipHash;
+                    banTarget(
+                        roomId,
+                        {
+                            clientId: target,
+                            ipHash:
+                                targetIp && targetIp !== ipHash(ws._ip)
+                                    ? targetIp
+                                    : null,
+                        },
+                        durationMs,
+                        clientId,
+                    );
+                } else if (msg.type === "unban") {
+                    const ban = bans.find(
+                        (b) => b.room === roomId && b.clientId === target,
+                    );
+                    if (!ban) sendError(ws, "BAN_NOT_FOUND", "Ban not found");
+                    else unban(ban.id, clientId);
+                } else if (msg.type === "mute") {
+                    muteClient(roomId, target, durationMs, clientId);
+                } else {
+                    unmuteClient(roomId, target, clientId);
+                }
+                return;
+            }
+
+            if (isControlMessage(msg) && !canControl(roomId, clientId)) {
+                sendError(
+                    ws,
+                    "PERMISSION_DENIED",
+                    `Permission denied: ${msg.type}`,
+                );
+                return;
+            }
+
+            if (msg.type === "navigate") {
+                const trackId = msg.trackId;
+                log.info("📀 Navigate", { room: roomId, clientId, trackId });
+                audit(roomId, "navigate", clientId, { trackId });
+                startTrack(
+                    roomId,
+                    {
+                        trackId,
+                        duration: msg.duration,
+                        meta: parseTrackMeta(msg),
+                    },
+                    clientId,
+                );
+                broadcastStateSync(roomId, clientId);
+                return;
+            }
+
+            if (msg.type === "playstate") {
+                const wantPlay = msg.playing;
+                if (st.playing !== wantPlay) {
+                    log.info(wantPlay ? "▶️ Play" : "⏸️ Pause", {
+                        room: roomId,
+                        clientId,
+                    });
+                    snapshotPosition(st);
+                    st.playing = wantPlay;
+                    audit(roomId, wantPlay ? "play" : "pause", clientId, {
+                        position: st.position,
+                    });
+                }
+                broadcastStateSync(roomId, clientId);
+                return;
+            }
+
+            if (msg.type === "seek") {
+                log.info("⏩ Seek", {
+                    room: roomId,
+                    clientId,
+                    position: msg.position,
+                });
+                st.position = Math.max(0, msg.position);
+                st.positionSetAt = Date.now();
+                audit(roomId, "seek", clientId, { position: st.position });
+                broadcastStateSync(roomId, clientId);
+                return;
+            }
+
+            // ── queue ──
+            if (msg.type === "queue_add") {
+                const trackId = msg.trackId;
+                const item = queueAdd(
+                    roomId,
+                    trackId,
+                    msg.duration,
+                    clientId,
+                    parseTrackMeta(msg),
+                );
+                if (!item) {
+                    sendError(ws, "QUEUE_FULL", "Queue is full");
+                    return;
+                }
+                log.info("➕ Queue add", { room: roomId, clientId, trackId });
+                // Очередь была пуста и ничего не играет — сразу запускаем
+                if (
+                    !st.trackId ||
+                    (!st.playing &&
+                        st.duration &&
+                        currentPosition(st) >= st.duration)
+                ) {
+                    advanceQueue(roomId, clientId);
+                } else {
+                    broadcastQueue(roomId);
+                }
+                return;
+            }
+
+            if (msg.type === "queue_remove") {
+                if (queueRemove(roomId, msg.id)) broadcastQueue(roomId);
+                return;
+            }
+
+            if (msg.type === "queue_move") {
+                if (queueMove(roomId, msg.id, msg.index))
+                    broadcastQueue(roomId);
+                return;
+            }
+
+            if (msg.type === "queue_skip") {
+                log.info("⏭️ Skip", {
+                    room: roomId,
+                    clientId,
+                    trackId: st.trackId,
+                });
+                audit(roomId, "skip", clientId, { trackId: st.trackId });
+                advanceQueue(roomId, clientId);
+                return;
+            }
+
+            if (
+                msg.type === "promote_suggestion" ||
+                msg.type === "dismiss_suggestion"
+            ) {
+                if (
+                    msg.type === "promote_suggestion" &&
+                    msg.queue &&
+                    st.queue.length >= MAX_QUEUE_LENGTH
+                ) {
+                    sendError(ws, "QUEUE_FULL", "Queue is full");
+                    return;
+                }
+                const suggestion = takeSuggestion(roomId, msg.id);
+                if (!suggestion) {
+                    sendError(
+                        ws,
+                        "SUGGESTION_NOT_FOUND",
+                        "Suggestion not found",
+                    );
+                    return;
+                }
+                broadcastSuggestions(roomId);
+                if (msg.type === "dismiss_suggestion") return;
+                log.info("🗳️ Suggestion promoted", {
+                    room: roomId,
+                    clientId,
+                    suggestion: suggestion.id,
+                    trackId: suggestion.trackId,
+                });
+                audit(roomId, "promote", clientId, {
+                    trackId: suggestion.trackId,
+                    queued: Boolean(msg.queue),
+                });
+                if (msg.queue) {
+                    queueAdd(
+                        roomId,
+                        suggestion.trackId,
+                        suggestion.duration,
+                        suggestion.suggestedBy,
+                        suggestion.meta,
+                    );
+                    broadcastQueue(roomId);
+                } else {
+                    startTrack(roomId, suggestion, suggestion.suggestedBy);
+                    broadcastStateSync(roomId, clientId);
+                }
+                return;
+            }
+
+            if (msg.type === "queue_clear") {
+                st.queue.length = 0;
+                broadcastQueue(roomId);
+                return;
+            }
+        });
+
+        ws.on("close", () => cleanupClient(ws));
+        ws.on("error", (err) => {
+            log.error("❌ Socket error", {
+                room: roomId,
+                clientId,
+                error: err.message,
+            });
+            cleanupClient(ws);
+        });
+    }
+
+    /**
+     * Подписывается на backplane и подтягивает общее состояние комнат
+     * до того, как начать принимать клиентов.
+     */
+    async function joinBackplane() {
+        await backplane.subscribe(handleBackplaneMessage);
+        const shared = await backplane.loadRooms();
+        for (const [roomId, room] of shared) applyRemoteRoom(roomId, room);
+        // Свои динамические комнаты, которых в общем реестре ещё нет
+        for (const room of roomRegistry.values())
+            if (room.source === "dynamic" && !shared.has(room.roomId))
+                publishRoom(room.roomId);
+        const states = await backplane.loadStates();
+        let applied = 0;
+        for (const [roomId, state] of states) {
+            if (!roomExists(roomId)) continue;
+            applyRemoteState(roomId, state);
+            scheduleAutoAdvance(roomId);
+            applied++;
+        }
+        if (applied)
+            log.info("🛰️ Loaded shared room state", { rooms: applied });
+        publishPresence();
+    }
+
+    /**
+     * Подключается к backplane и начинает слушать порт.
+     * Резолвится фактическим портом (важно при port: 0).
+     * Если backplane не ответил за connectTimeoutMs, всё освобождается
+     * через close() и start() отклоняется.
+     */
+    async function start() {
+        let timer;
+        const timeoutMs = BACKPLANE_CONFIG.connectTimeoutMs;
+        try {
+            await Promise.race([
+                joinBackplane(),
+                new Promise((resolve, reject) => {
+                    if (!timeoutMs) return;
+                    timer = setTimeout(
+                        () =>
+                            reject(
+                                new Error(
+                                    `Backplane not reachable within ${timeoutMs / 1000}s`,
+                                ),
+                            ),
+                        timeoutMs,
+                    );
+                }),
+            ]);
+        } catch (e) {
+            log.error("❌ Backplane failed", { error: e.message });
+            await close();
+            throw e;
+        } finally {
+            clearTimeout(timer);
+        }
+        await new Promise((resolve, reject) => {
+            httpsServer.once("error", reject);
+            httpsServer.listen(PORT, () => {
+                httpsServer.off("error", reject);
+                resolve();
+            });
+        });
+        onListening();
+        return httpsServer.address().port;
+    }
+
+    function onListening() {
+        const scheme = tlsOptions ? "wss" : "ws";
+        const port = httpsServer.address().port;
+        log.info("🚀 WS server started", {
+            url: `${scheme}://0.0.0.0:${port}`,
+        });
+        log.info("🛰️ Backplane", { type: backplane.type, node: NODE_ID });
+        log.info("📁 Rooms file", { file: ROOMS_FILE });
+        if (tlsOptions)
+            log.info("🔐 Certs dir", { dir: path.dirname(CERT_FILE) });
+        else log.info("🔓 TLS disabled — expecting a reverse proxy in front");
+        if (!options.stdin) return;
+        console.log(
+            `✏️  Commands: <roomId> <path>  |  rooms  |  clients  |  state <roomId>  |  queue <roomId>  |  create <roomId> [name]  |  delete <roomId>  |  token <roomId> <clientId> [ttl]  |  history <roomId> [json|csv]  |  chat <roomId>  |  chatdel <roomId> <id>  |  audit <roomId> [limit]  |  announce <roomId|all> <text>  |  kick <roomId> <clientId>  |  ban <roomId|all> <clientId|ip> [duration]  |  unban <id>  |  bans  |  mute <roomId> <clientId> [duration]  |  unmute <roomId> <clientId>\n`,
+        );
+    }
+
+    // ─── Graceful shutdown ────────────────────────────────────────────────
+
+    // Сколько ждать ответных close-фреймов и сколько — всего
+    const SHUTDOWN_CLOSE_WAIT_MS = 2000;
+    const SHUTDOWN_TIMEOUT_MS = 10000;
+    let shuttingDown = false;
+    let closed = false;
+
+    /**
+     * Предупреждает клиентов server_shutdown, закрывает сокеты с кодом 4013,
+     * дожидается записи аватаров, сохраняет состояние и освобождает
+     * таймеры, наблюдателей и порт. Процесс не завершает.
+     */
+    async function close() {
+        if (closed) return;
+        closed = true;
+        for (const timer of [
+            heartbeatTimer,
+            presenceTimer,
+            livenessTimer,
+            stateSaveTimer,
+            rateSweepTimer,
+            roomSweepTimer,
+        ])
+            clearInterval(timer);
+        for (const timer of advanceTimers.values()) clearTimeout(timer);
+        advanceTimers.clear();
+        // Новые соединения больше не принимаются
+        const serverClosed = new Promise((resolve) =>
+            httpsServer.close(() => resolve()),
+        );
+        // Уход участников не должен пропустить трек голосованием
+        for (const state of roomState.values()) state.skipVotes = [];
+
+        const msg = JSON.stringify({
+            type: "server_shutdown",
+            reason: "Server is restarting",
+            reconnectAfter: config.shutdownReconnectAfterMs || null,
+        });
+        const closing = [];
+        for (const client of wss.clients) {
+            // Остальные узлы должны сразу увидеть client_left, без grace
+            client._noResume = true;
+            if (client.readyState !== 1) continue;
+            closing.push(
+                new Promise((resolve) => client.once("close", resolve)),
+            );
+            client.send(msg);
+            client.close(CLOSE_CODES.SERVER_SHUTDOWN, "Server shutting down");
+        }
+        // Участники в grace-периоде уже без сокета
+        for (const roomClients of rooms.values())
+            for (const client of [...roomClients])
+                if (client._disconnectedAt) removeClient(client);
+
+        let waitTimer;
+        await Promise.race([
+            Promise.all(closing),
+            new Promise((resolve) => {
+                waitTimer = setTimeout(resolve, SHUTDOWN_CLOSE_WAIT_MS);
+            }),
+        ]);
+        clearTimeout(waitTimer);
+        for (const client of wss.clients) client.terminate();
+        await Promise.all(pendingAvatarWrites);
+        await closeAuditStreams();
+        saveState();
+        backplane.close();
+        roomsWatcher.close();
+        unwatchCertificates();
+        await serverClosed;
+        log.close();
+    }
+
+    /**
+     * close() по сигналу и выход из процесса.
+     * Повторный сигнал завершает процесс сразу.
+     */
+    async function shutdown(signal) {
+        if (shuttingDown) {
+            log.warn("⚠️ Signal received again — exiting immediately", {
+                signal,
+            });
+            process.exit(1);
+        }
+        shuttingDown = true;
+        log.info("🛑 Shutting down", { signal });
+        setTimeout(() => {
+            log.warn("⚠️ Shutdown timed out — saving state and exiting");
+            saveState();
+            process.exit(1);
+        }, SHUTDOWN_TIMEOUT_MS).unref();
+        await close();
+        log.info("👋 Shutdown complete");
+        process.exit(0);
+    }
+
+    if (options.signals) {
+        process.on("SIGINT", () => shutdown("SIGINT"));
+        process.on("SIGTERM", () => shutdown("SIGTERM"));
+    }
+
+    // ─── Terminal admin ───────────────────────────────────────────────────
+
+    function formatClient(c) {
+        const seen = c.lastSeen
+            ? `seen ${Math.round((Date.now() - c.lastSeen) / 1000)}s ago`
+            : "never seen";
+        const status = c.connected ? seen : `disconnected, ${seen}`;
+        const name = c.profile?.displayName
+            ? ` "${c.profile.displayName}"`
+            : "";
+        return `${c.clientId}${name} (${c.role}, ${c.rtt ?? "?"}ms, ${status})`;
+    }
+
+    function formatAuditEntry(e) {
+        const { time, room, action, actor, ...details } = e;
+        const extra = Object.entries(details)
+            .map(
+                ([k, v]) =>
+                    `${k}=${typeof v === "string" ? v : JSON.stringify(v)}`,
+            )
+            .join(" ");
+        const at = new Date(time).toLocaleString();
+        return `  ${at} [${room}] ${action} by ${actor}${extra ? ` ${extra}` : ""}`;
+    }
+
+    function handleConsoleLine(input) {
+        const trimmed = input.trim();
+        if (!trimmed) return;
+        if (trimmed === "rooms") {
+            const list = listRooms().map((r) => `${r.roomId} (${r.clients})`);
+            console.log("Rooms:", list.join(", ") || "(none)");
+            return;
+        }
+        if (trimmed === "clients") {
+            for (const [rid, cls] of Object.entries(listClients()))
+                console.log(`  [${rid}]: ${cls.map(formatClient).join(", ")}`);
+            return;
+        }
+        const [cmd, ...rest] = trimmed.split(" ");
+        if (cmd === "token") {
+            const [rid, cid, ttl] = rest;
+            if (!roomExists(rid) || !cid) {
+                console.log("Usage: token <roomId> <clientId> [ttlSeconds]");
+                return;
+            }
+            const issued = issueJoinToken(rid, cid, ttl ?? config.tokenTtl);
+            if (!issued)
+                console.warn("⚠️ tokenSecret is not set in config.json");
+            else console.log(`🎟️ ${issued.token}`);
+            return;
+        }
+        if (cmd === "create") {
+            const [rid, ...nameParts] = rest;
+            createRoom(rid, { name: nameParts.join(" ") }).then((result) => {
+                if (result.error) console.warn(`⚠️ ${result.error}`);
+            });
+            return;
+        }
+        if (cmd === "delete") {
+            const result = deleteRoom(rest[0]);
+            if (result.error) console.warn(`⚠️ ${result.error}`);
+            return;
+        }
+        if (cmd === "history") {
+            const [rid, format] = rest;
+            const history = roomState.get(rid)?.history;
+            if (!history) {
+                console.log("Usage: history <roomId> [json|csv]");
+                return;
+            }
+            if (format === "json")
+                console.log(JSON.stringify(history, null, 4));
+            else if (format === "csv")
+                process.stdout.write(historyToCsv(history));
+            else if (history.length === 0)
+                console.log(`[${rid}] history is empty`);
+            else
+                for (const e of history) {
+                    const title = e.meta?.title
+                        ? `${e.meta.artists?.join(", ") ?? "?"} — ${e.meta.title}`
+                        : e.trackId;
+                    const at = new Date(e.startedAt).toLocaleTimeString();
+                    console.log(`  ${at} ${title} (by ${e.pickedBy})`);
+                }
+            return;
+        }
+        if (cmd === "audit") {
+            if (rest[0] === "follow") {
+                auditListeners.clear();
+                const rid = rest[1];
+                if (!rid || rid === "off") {
+                    console.log("Audit follow off");
+                    return;
+                }
+                auditListeners.add((e) => {
+                    if (e.room === rid) console.log(formatAuditEntry(e));
+                });
+                console.log(
+                    `Following audit log of [${rid}] — "audit follow off" to stop`,
+                );
+                return;
+            }
+            const [rid, ...args] = rest;
+            if (!rid) {
+                console.log(
+                    "Usage: audit <roomId> [limit] [action=<a>] [client=<id>]  |  audit follow <roomId|off>",
+                );
+                return;
+            }
+            const query = {};
+            for (const arg of args) {
+                const [key, value] = arg.split("=");
+                if (value === undefined) query.limit = parseInt(key, 10) || 20;
+                else if (key === "action" || key === "client")
+                    query[key] = value;
+            }
+            queryAudit(rid, query).then((entries) => {
+                if (entries.length === 0)
+                    console.log(`[${rid}] no audit entries`);
+                for (const e of entries) console.log(formatAuditEntry(e));
+            });
+            return;
+        }
+        if (cmd === "chat") {
+            const history = roomState.get(rest[0])?.chat;
+            if (!history) {
+                console.log("Usage: chat <roomId>");
+                return;
+            }
+            if (history.length === 0) console.log(`[${rest[0]}] chat is empty`);
+            for (const e of history) {
+                const body = e.type === "chat" ? e.text : `reacted ${e.emoji}`;
+                console.log(`  #${e.id} ${e.clientId}: ${body}`);
+            }
+            return;
+        }
+        if (cmd === "kick") {
+            const [rid, cid, ...reasonParts] = rest;
+            if (!roomExists(rid) || !cid)
+                console.log("Usage: kick <roomId> <clientId> [reason]");
+            else if (!kickClient(rid, cid, reasonParts.join(" ") || "Kicked"))
+                console.warn(`⚠️ [${cid}] is not in [${rid}]`);
+            return;
+        }
+        if (cmd === "ban") {
+            const [rid, target, duration] = rest;
+            const durationMs = duration ? parseDurationSpec(duration) : null;
+            if (
+                !target ||
+                (rid !== "all" && !roomExists(rid)) ||
+                (duration && !durationMs)
+            ) {
+                console.log(
+                    "Usage: ban <roomId|all> <clientId|ip> [duration, e.g. 30m, 2h, 7d]",
+                );
+                return;
+            }
+            const ban = banTarget(
+                rid === "all" ? null : rid,
+                net.isIP(normalizeIp(target))
+                    ? { ip: target }
+                    : { clientId: target },
+                durationMs,
+                "admin",
+            );
+            console.log(`🚷 Ban #${ban.id} added`);
+            return;
+        }
+        if (cmd === "unban") {
+            if (!unban(Number(rest[0]), "admin"))
+                console.log("Usage: unban <banId>  (see bans)");
+            return;
+        }
+        if (cmd === "bans") {
+            if (bans.length === 0) console.log("No bans");
+            for (const ban of bans) {
+                const until = ban.until
+                    ? `until ${new Date(ban.until).toLocaleString()}`
+                    : "permanent";
+                console.log(
+                    `  #${ban.id} ${ban.clientId ?? ban.ip} in [${ban.room ?? "all"}] ${until} (by ${ban.by})`,
+                );
+            }
+            return;
+        }
+        if (cmd === "mute" || cmd === "unmute") {
+            const [rid, cid, duration] = rest;
+            const durationMs = duration ? parseDurationSpec(duration) : null;
+            if (!roomExists(rid) || !cid || (duration && !durationMs)) {
+                console.log(
+                    cmd === "mute"
+                        ? "Usage: mute <roomId> <clientId> [duration]"
+                        : "Usage: unmute <roomId> <clientId>",
+                );
+            } else if (cmd === "mute") {
+                muteClient(rid, cid, durationMs, "admin");
+            } else if (!unmuteClient(rid, cid, "admin")) {
+                console.warn(`⚠️ [${cid}] is not muted in [${rid}]`);
+            }
+            return;
+        }
+        if (cmd === "announce") {
+            const [target, ...textParts] = rest;
+            const text = textParts.join(" ");
+            if (!text || (target !== "all" && !roomExists(target)))
+                console.log("Usage: announce <roomId|all> <text>");
+            else announce(target, text);
+            return;
+        }
+        if (cmd === "chatdel") {
+            const [rid, id] = rest;
+            if (!id) console.log("Usage: chatdel <roomId> <messageId>");
+            else if (!deleteChatMessage(rid, Number(id)))
+                console.warn(`⚠️ Message #${id} not found in [${rid}]`);
+            return;
+        }
+        if (cmd === "queue") {
+            const room = describeRoom(rest[0]);
+            if (room) {
+                const rid = room.roomId;
+                const q = room.queue;
+                if (q.length === 0) console.log(`[${rid}] queue is empty`);
+                q.forEach((item, i) =>
+                    console.log(
+                        `  ${i + 1}. #${item.id} ${item.trackId} (by ${item.addedBy})`,
+                    ),
+                );
+            } else {
+                console.log("Usage: queue <roomId>");
+            }
+            return;
+        }
+        if (cmd === "state") {
+            const s = describeRoom(rest[0]);
+            if (s) {
+                console.log(
+                    `[${s.roomId}] trackId=${s.trackId} playing=${s.playing} pos=${s.position.toFixed(1)}s`,
+                );
+            } else {
+                console.log("Usage: state <roomId>");
+            }
+            return;
+        }
+        const roomId = cmd;
+        if (!roomExists(roomId)) {
+            console.warn(`⚠️ Room [${roomId}] not found`);
+            return;
+        }
+        const newTrackId = rest.join(" ");
+        setRoomState(roomId, { trackId: newTrackId });
+        console.log(`📤 [${roomId}] → navigate: trackId=${newTrackId}`);
+    }
+
+    function attachConsole() {
+        const rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout,
+        });
+        rl.on("SIGINT", () => shutdown("SIGINT"));
+        rl.on("line", handleConsoleLine);
+    }
+
+    if (options.stdin) attachConsole();
+
+    return {
+        start,
+        close,
+        config,
+        nodeId: NODE_ID,
+        // Фактический порт после start()
+        get port() {
+            return httpsServer.address()?.port ?? null;
+        },
+    };
+}
+
+module.exports = { createServer, DEFAULT_CONFIG };
+
+if (require.main === module) {
+    let server;
+    try {
+        server = createServer({ stdin: true, signals: true });
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+    }
+    server.start().catch((e) => {
+        console.error(`❌ Failed to start: ${e.message}`);
+        process.exit(1);
+    });
+}
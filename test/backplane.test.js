@@ -0,0 +1,130 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, connect, join, sleep } = require("./helpers");
+const { startRespServer } = require("./resp-server");
+
+describe("redis backplane", () => {
+    let redis;
+    let nodeA;
+    let nodeB;
+
+    before(async () => {
+        redis = await startRespServer();
+        const backplane = { type: "redis", url: redis.url, prefix: "test" };
+        nodeA = await startServer({ backplane, trustProxy: true });
+        nodeB = await startServer({ backplane, trustProxy: true });
+    });
+
+    after(async () => {
+        await nodeA.stop();
+        await nodeB.stop();
+        await redis.close();
+    });
+
+    test("shares members, broadcasts and state between nodes", async () => {
+        const alice = await join(nodeA.url, {
+            room: "lobby",
+            clientId: "alice",
+        });
+        await sleep(50);
+        const bob = connect(nodeB.url, { room: "lobby", clientId: "bob" });
+
+        // Участник другого узла приходит в снапшоте, владелец не меняется
+        const member = await bob.next("client_joined");
+        assert.equal(member.clientId, "alice");
+        assert.equal(member.role, "owner");
+        assert.equal((await alice.next("client_joined")).clientId, "bob");
+
+        alice.send({ type: "navigate", trackId: "t1", duration: 200 });
+        const sync = await bob.next(
+            (m) => m.type === "state_sync" && m.trackId === "t1",
+        );
+        assert.equal(sync.by, "alice");
+        assert.equal(sync.playing, true);
+
+        bob.send({ type: "chat", text: "hi from B" });
+        assert.equal((await alice.next("chat")).text, "hi from B");
+
+        // Состояние комнаты сохранено в общем хеше
+        const saved = JSON.parse(redis.hashes.get("test:rooms").get("lobby"));
+        assert.equal(saved.trackId, "t1");
+        assert.equal(saved.chat.length, 1);
+
+        await bob.close();
+        assert.equal((await alice.next("client_left")).clientId, "bob");
+        await alice.close();
+    });
+
+    test("shares dynamic rooms between nodes", async () => {
+        const alice = await join(nodeA.url, {
+            room: "lobby",
+            clientId: "alice",
+        });
+        alice.send({ type: "create_room", room: "party", password: "pw" });
+        const { ownerKey } = await alice.next("room_created");
+        await sleep(50);
+
+        // Комната и её пароль известны второму узлу
+        const wrong = connect(nodeB.url, {
+            room: "party",
+            clientId: "bob",
+            password: "nope",
+        });
+        assert.equal((await wrong.closed).code, 4003);
+        const bob = connect(nodeB.url, {
+            room: "party",
+            clientId: "bob",
+            password: "pw",
+        });
+        await bob.next("server_info");
+        assert.ok(redis.hashes.get("test:registry").has("party"));
+
+        alice.send({ type: "delete_room", room: "party", ownerKey });
+        assert.equal((await bob.closed).code, 4005);
+        await sleep(50);
+        assert.ok(!redis.hashes.get("test:registry").has("party"));
+        await alice.close();
+    });
+
+    test("fails to start when Redis is unreachable", async () => {
+        const unreachable = {
+            type: "redis",
+            url: "redis://127.0.0.1:1",
+            connectTimeoutMs: 300,
+        };
+        await assert.rejects(startServer({ backplane: unreachable }), {
+            message: /not reachable/,
+        });
+    });
+
+    test("moves a session to the node it reconnects to", async () => {
+        const first = await join(nodeA.url, {
+            room: "lobby",
+            clientId: "carol",
+        });
+        await sleep(50);
+        // С другого IP без секрета место не перенять
+        const impostor = connect(
+            nodeB.url,
+            { room: "lobby", clientId: "carol" },
+            { headers: { "x-forwarded-for": "10.0.0.9" } },
+        );
+        assert.equal((await impostor.closed).code, 4015);
+        const second = await join(nodeB.url, {
+            room: "lobby",
+            clientId: "carol",
+            resume: first.info.resumeSecret,
+        });
+        assert.equal(second.info.resumeSecret, first.info.resumeSecret);
+        assert.equal((await first.closed).code, 4010);
+
+        // Клиент протокола 1 без секрета возвращается с того же IP
+        await sleep(50);
+        const legacy = await join(nodeA.url, {
+            room: "lobby",
+            clientId: "carol",
+        });
+        assert.equal((await second.closed).code, 4010);
+        await legacy.close();
+    });
+});
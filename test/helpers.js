@@ -0,0 +1,123 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const WebSocket = require("ws");
+const { createServer } = require("../server.js");
+
+/**
+ * Поднимает сервер на свободном порту во временной папке.
+ * Без TLS, без файлов состояния и с тихим логом, если не переопределено.
+ */
+async function startServer(config = {}, { rooms = ["lobby"] } = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "listen-along-"));
+    fs.writeFileSync(path.join(dir, "rooms.txt"), `${rooms.join("\n")}\n`);
+    const server = createServer({
+        config: {
+            port: 0,
+            tls: "none",
+            rooms: path.join(dir, "rooms.txt"),
+            avatarsDir: path.join(dir, "avatars"),
+            cert: path.join(dir, "certs", "cert.pem"),
+            key: path.join(dir, "certs", "key.pem"),
+            stateFile: null,
+            roomsRegistry: null,
+            auditDir: null,
+            bansFile: null,
+            resumeGraceMs: 0,
+            logging: { level: "error", format: "text", destinations: [] },
+            ...config,
+        },
+    });
+    const port = await server.start().catch((e) => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        throw e;
+    });
+    const scheme = server.config.tls === "none" ? "ws" : "wss";
+    return {
+        server,
+        port,
+        dir,
+        url: `${scheme}://127.0.0.1:${port}`,
+        httpUrl: `${scheme === "ws" ? "http" : "https"}://127.0.0.1:${port}`,
+        async stop() {
+            await server.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        },
+    };
+}
+
+/**
+ * Клиент с очередью входящих сообщений.
+ * next(type) отдаёт первое ещё не прочитанное сообщение этого типа.
+ * options уходят в конструктор WebSocket (например, headers).
+ */
+function connect(baseUrl, query = {}, options = {}) {
+    const ws = new WebSocket(`${baseUrl}/?${new URLSearchParams(query)}`, {
+        rejectUnauthorized: false,
+        ...options,
+    });
+    const inbox = [];
+    const waiters = [];
+    const deliver = () => {
+        for (const waiter of [...waiters]) {
+            const index = inbox.findIndex(waiter.match);
+            if (index === -1) continue;
+            waiters.splice(waiters.indexOf(waiter), 1);
+            clearTimeout(waiter.timer);
+            waiter.resolve(inbox.splice(index, 1)[0]);
+        }
+    };
+    ws.on("message", (data, isBinary) => {
+        if (isBinary) return;
+        inbox.push(JSON.parse(data.toString()));
+        deliver();
+    });
+    const closed = new Promise((resolve) =>
+        ws.on("close", (code, reason) =>
+            resolve({ code, reason: reason.toString() }),
+        ),
+    );
+    const opened = new Promise((resolve, reject) => {
+        ws.once("open", resolve);
+        ws.once("error", reject);
+    });
+
+    const client = {
+        ws,
+        inbox,
+        opened,
+        closed,
+        send(msg) {
+            ws.send(typeof msg === "string" ? msg : JSON.stringify(msg));
+        },
+        next(type, timeoutMs = 2000) {
+            const match =
+                typeof type === "function" ? type : (m) => m.type === type;
+            return new Promise((resolve, reject) => {
+                const waiter = { match, resolve };
+                waiter.timer = setTimeout(() => {
+                    waiters.splice(waiters.indexOf(waiter), 1);
+                    reject(new Error(`Timed out waiting for ${type}`));
+                }, timeoutMs);
+                waiters.push(waiter);
+                deliver();
+            });
+        },
+        close() {
+            ws.close();
+            return closed;
+        },
+    };
+    return client;
+}
+
+// Подключается и ждёт server_info — клиент уже в комнате
+async function join(baseUrl, query, options) {
+    const client = connect(baseUrl, query, options);
+    client.info = await client.next("server_info");
+    return client;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+module.exports = { startServer, connect, join, sleep };
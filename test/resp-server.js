@@ -0,0 +1,97 @@
+const net = require("net");
+
+/**
+ * Заглушка Redis для тестов backplane: SUBSCRIBE, PUBLISH, HSET, HDEL, HGETALL.
+ * Остальные команды отвечают +OK.
+ */
+function startRespServer() {
+    const channels = new Map(); // channel → Set<socket>
+    const hashes = new Map();
+    const sockets = new Set();
+
+    const encode = (value) => {
+        if (value === null) return "$-1\r\n";
+        if (typeof value === "number") return `:${value}\r\n`;
+        if (Array.isArray(value))
+            return `*${value.length}\r\n${value.map(encode).join("")}`;
+        return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    };
+
+    // Разбирает одну команду (массив bulk-строк) или null
+    const parseCommand = (buf) => {
+        let lineEnd = buf.indexOf("\r\n");
+        if (buf[0] !== 0x2a || lineEnd === -1) return null;
+        const count = Number(buf.toString("utf8", 1, lineEnd));
+        const args = [];
+        let pos = lineEnd + 2;
+        for (let i = 0; i < count; i++) {
+            lineEnd = buf.indexOf("\r\n", pos);
+            if (lineEnd === -1) return null;
+            const len = Number(buf.toString("utf8", pos + 1, lineEnd));
+            const start = lineEnd + 2;
+            if (buf.length < start + len + 2) return null;
+            args.push(buf.toString("utf8", start, start + len));
+            pos = start + len + 2;
+        }
+        return { args, rest: buf.subarray(pos) };
+    };
+
+    const execute = (socket, [name, ...args]) => {
+        const command = name.toUpperCase();
+        if (command === "SUBSCRIBE") {
+            if (!channels.has(args[0])) channels.set(args[0], new Set());
+            channels.get(args[0]).add(socket);
+            return encode(["subscribe", args[0], 1]);
+        }
+        if (command === "PUBLISH") {
+            const subscribers = channels.get(args[0]) ?? new Set();
+            for (const sub of subscribers)
+                sub.write(encode(["message", args[0], args[1]]));
+            return encode(subscribers.size);
+        }
+        if (command === "HSET") {
+            if (!hashes.has(args[0])) hashes.set(args[0], new Map());
+            hashes.get(args[0]).set(args[1], args[2]);
+            return encode(1);
+        }
+        if (command === "HDEL")
+            return encode(hashes.get(args[0])?.delete(args[1]) ? 1 : 0);
+        if (command === "HGETALL")
+            return encode([...(hashes.get(args[0]) ?? [])].flat());
+        return "+OK\r\n";
+    };
+
+    const server = net.createServer((socket) => {
+        sockets.add(socket);
+        let buffer = Buffer.alloc(0);
+        socket.on("error", () => {});
+        socket.on("close", () => {
+            sockets.delete(socket);
+            for (const subscribers of channels.values())
+                subscribers.delete(socket);
+        });
+        socket.on("data", (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let parsed;
+            while ((parsed = parseCommand(buffer))) {
+                buffer = parsed.rest;
+                socket.write(execute(socket, parsed.args));
+            }
+        });
+    });
+
+    return new Promise((resolve) =>
+        server.listen(0, "127.0.0.1", () =>
+            resolve({
+                url: `redis://127.0.0.1:${server.address().port}`,
+                hashes,
+                close() {
+                    for (const socket of sockets) socket.destroy();
+                    return new Promise((done) => server.close(done));
+                },
+            }),
+        ),
+    );
+}
+
+module.exports = { startRespServer };
@@ -0,0 +1,785 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const sharp = require("sharp");
+const { startServer, connect, join, sleep } = require("./helpers");
+
+describe("room admission", () => {
+    let srv;
+    before(async () => (srv = await startServer()));
+    after(() => srv.stop());
+
+    test("rejects an unknown room with 4001", async () => {
+        const client = connect(srv.url, { room: "nope", clientId: "a" });
+        assert.equal((await client.closed).code, 4001);
+    });
+
+    test("rejects a wrong password with 4003", async () => {
+        const owner = await join(srv.url, { room: "lobby", clientId: "own" });
+        owner.send({
+            type: "create_room",
+            room: "secret",
+            password: "hunter2",
+        });
+        await owner.next("room_created");
+        const intruder = connect(srv.url, {
+            room: "secret",
+            clientId: "b",
+            password: "wrong",
+        });
+        assert.equal((await intruder.closed).code, 4003);
+        const guest = connect(srv.url, {
+            room: "secret",
+            clientId: "c",
+            password: "hunter2",
+        });
+        assert.ok((await guest.next("auth_ok")).token !== undefined);
+        await guest.close();
+        await owner.close();
+    });
+
+    test("rejects members beyond maxMembers with 4004", async () => {
+        const owner = await join(srv.url, { room: "lobby", clientId: "own" });
+        owner.send({ type: "create_room", room: "tiny", maxMembers: 1 });
+        await owner.next("room_created");
+        const first = await join(srv.url, { room: "tiny", clientId: "x" });
+        const second = connect(srv.url, { room: "tiny", clientId: "y" });
+        assert.equal((await second.closed).code, 4004);
+        await first.close();
+        await owner.close();
+    });
+});
+
+describe("password throttling", () => {
+    let srv;
+    before(async () => (srv = await startServer()));
+    after(() => srv.stop());
+
+    test("closes password logins with 4012 after repeated failures", async () => {
+        const owner = await join(srv.url, { room: "lobby", clientId: "own" });
+        owner.send({ type: "create_room", room: "vault", password: "pw" });
+        await owner.next("room_created");
+        const attempt = (password) =>
+            connect(srv.url, { room: "vault", clientId: "g", password }).closed;
+        for (let i = 0; i < 5; i++)
+            assert.equal((await attempt("wrong")).code, 4003);
+        assert.equal((await attempt("wrong")).code, 4012);
+        assert.equal((await attempt("pw")).code, 4012);
+        await owner.close();
+    });
+});
+
+describe("room creation", () => {
+    let srv;
+    before(
+        async () =>
+            (srv = await startServer({
+                maxRoomsPerClient: 2,
+                adminToken: "admin",
+            })),
+    );
+    after(() => srv.stop());
+
+    test("stops a client at maxRoomsPerClient", async () => {
+        const owner = await join(srv.url, { room: "lobby", clientId: "own" });
+        for (const room of ["one", "two"]) {
+            owner.send({ type: "create_room", room, password: "pw" });
+            await owner.next("room_created");
+        }
+        owner.send({ type: "create_room", room: "three" });
+        assert.equal((await owner.next("error")).code, "ROOM_LIMIT_REACHED");
+        await owner.close();
+    });
+
+    test("refuses to patch a room from rooms.txt", async () => {
+        const patch = (room, body) =>
+            fetch(`${srv.httpUrl}/api/rooms/${room}`, {
+                method: "PATCH",
+                headers: { Authorization: "Bearer admin" },
+                body: JSON.stringify(body),
+            });
+        const res = await patch("lobby", { maxMembers: 2 });
+        assert.equal(res.status, 400);
+        assert.match((await res.json()).error, /rooms\.txt/);
+
+        const created = await fetch(`${srv.httpUrl}/api/rooms`, {
+            method: "POST",
+            headers: { Authorization: "Bearer admin" },
+            body: JSON.stringify({ roomId: "patched" }),
+        });
+        assert.equal(created.status, 201);
+        const updated = await patch("patched", { maxMembers: 2 });
+        assert.equal((await updated.json()).maxMembers, 2);
+    });
+});
+
+describe("room ownership", () => {
+    let srv;
+    before(
+        async () =>
+            (srv = await startServer({}, { rooms: ["lobby", "other"] })),
+    );
+    after(() => srv.stop());
+
+    test("needs the owner key from room_created", async () => {
+        const alice = await join(srv.url, { room: "lobby", clientId: "alice" });
+        alice.send({ type: "create_room", room: "party" });
+        const { ownerKey } = await alice.next("room_created");
+        assert.ok(ownerKey);
+        const bob = await join(srv.url, { room: "party", clientId: "bob" });
+
+        // Чужой сокет с тем же clientId не владеет комнатой
+        const spoof = await join(srv.url, { room: "other", clientId: "alice" });
+        spoof.send({ type: "delete_room", room: "party" });
+        assert.equal((await spoof.next("error")).code, "PERMISSION_DENIED");
+        const inside = await join(srv.url, {
+            room: "party",
+            clientId: "alice",
+        });
+        inside.send({ type: "kick", target: "bob" });
+        assert.equal((await inside.next("error")).code, "PERMISSION_DENIED");
+        await inside.close();
+
+        const owner = await join(srv.url, {
+            room: "party",
+            clientId: "alice",
+            ownerKey,
+        });
+        owner.send({ type: "mute", target: "bob" });
+        await owner.next("mutes_update");
+        alice.send({ type: "delete_room", room: "party", ownerKey });
+        assert.equal((await bob.closed).code, 4005);
+        await spoof.close();
+        await alice.close();
+    });
+});
+
+describe("join snapshot", () => {
+    let srv;
+    before(async () => (srv = await startServer()));
+    after(() => srv.stop());
+
+    test("sends roles, members, state and queue to a new member", async () => {
+        const alice = await join(srv.url, { room: "lobby", clientId: "alice" });
+        alice.send({ type: "hello", protocol: 2 });
+        await alice.next("hello");
+        alice.send({ type: "profile", displayName: "Alice" });
+        alice.send({
+            type: "navigate",
+            trackId: "t1",
+            duration: 180,
+            title: "Song",
+            artists: ["Band"],
+        });
+        alice.send({ type: "queue_add", trackId: "t2", duration: 120 });
+        await alice.next("queue_update");
+
+        const bob = connect(srv.url, { room: "lobby", clientId: "bob" });
+        const info = await bob.next("server_info");
+        assert.equal(info.room.roomId, "lobby");
+        assert.deepEqual(await bob.next("roles_update"), {
+            type: "roles_update",
+            owner: "alice",
+            djs: [],
+        });
+        const member = await bob.next("client_joined");
+        assert.equal(member.clientId, "alice");
+        assert.equal(member.role, "owner");
+        assert.equal(member.profile.displayName, "Alice");
+        const sync = await bob.next("state_sync");
+        assert.equal(sync.trackId, "t1");
+        assert.equal(sync.duration, 180);
+        assert.deepEqual(sync.meta, { title: "Song", artists: ["Band"] });
+        assert.equal(sync.playing, true);
+        const queue = await bob.next("queue_update");
+        assert.deepEqual(
+            queue.queue.map((item) => item.trackId),
+            ["t2"],
+        );
+
+        const joined = await alice.next("client_joined");
+        assert.equal(joined.clientId, "bob");
+        assert.equal(joined.role, "listener");
+        await bob.close();
+        await alice.close();
+    });
+});
+
+describe("roles", () => {
+    let srv;
+    before(async () => (srv = await startServer()));
+    after(() => srv.stop());
+
+    test("hands roles only to members of the room", async () => {
+        const alice = await join(srv.url, { room: "lobby", clientId: "alice" });
+        alice.send({ type: "transfer_owner", target: "ghost" });
+        assert.equal((await alice.next("error")).code, "CLIENT_NOT_FOUND");
+        alice.send({ type: "grant_dj", target: "ghost" });
+        assert.equal((await alice.next("error")).code, "CLIENT_NOT_FOUND");
+
+        const bob = await join(srv.url, { room: "lobby", clientId: "bob" });
+        alice.send({ type: "transfer_owner", target: "bob" });
+        const roles = await bob.next(
+            (m) => m.type === "roles_update" && m.owner === "bob",
+        );
+        assert.deepEqual(roles.djs, ["alice"]);
+        await bob.close();
+        await alice.close();
+    });
+});
+
+describe("session takeover", () => {
+    let srv;
+    before(
+        async () =>
+            (srv = await startServer({
+                resumeGraceMs: 5000,
+                trustProxy: true,
+            })),
+    );
+    after(() => srv.stop());
+
+    // Другой адрес клиента — через X-Forwarded-For, раз trustProxy включён
+    const from = (ip) => ({ headers: { "x-forwarded-for": ip } });
+
+    test("needs the resume secret to replace a member", async () => {
+        const alice = await join(
+            srv.url,
+            { room: "lobby", clientId: "alice" },
+            from("10.0.0.1"),
+        );
+        const bob = await join(
+            srv.url,
+            { room: "lobby", clientId: "bob" },
+            from("10.0.0.2"),
+        );
+        assert.ok(alice.info.resumeSecret);
+
+        const impostor = connect(
+            srv.url,
+            { room: "lobby", clientId: "alice" },
+            from("10.0.0.3"),
+        );
+        assert.equal((await impostor.closed).code, 4015);
+        const guess = connect(
+            srv.url,
+            {
+                room: "lobby",
+                clientId: "alice",
+                resume: bob.info.resumeSecret,
+            },
+            from("10.0.0.3"),
+        );
+        assert.equal((await guess.closed).code, 4015);
+
+        // Настоящая alice на месте и по-прежнему владелец
+        bob.send({ type: "chat", text: "still there?" });
+        assert.equal((await alice.next("chat")).text, "still there?");
+
+        // В grace-периоде место тоже держится
+        await alice.close();
+        const late = connect(
+            srv.url,
+            { room: "lobby", clientId: "alice" },
+            from("10.0.0.3"),
+        );
+        assert.equal((await late.closed).code, 4015);
+
+        const resumed = await join(
+            srv.url,
+            {
+                room: "lobby",
+                clientId: "alice",
+                resume: alice.info.resumeSecret,
+            },
+            from("10.0.0.3"),
+        );
+        assert.equal(resumed.info.resumeSecret, alice.info.resumeSecret);
+        await resumed.next("session_resumed");
+        assert.equal((await resumed.next("roles_update")).owner, "alice");
+        await resumed.close();
+        await bob.close();
+    });
+
+    test("lets a legacy client back in from the same IP", async () => {
+        const first = await join(
+            srv.url,
+            { room: "lobby", clientId: "carol" },
+            from("10.0.1.1"),
+        );
+        // Полуоткрытый сокет: старое соединение ещё живо
+        const second = await join(
+            srv.url,
+            { room: "lobby", clientId: "carol" },
+            from("10.0.1.1"),
+        );
+        assert.equal((await first.closed).code, 4010);
+        assert.equal(second.info.resumeSecret, first.info.resumeSecret);
+        await second.close();
+    });
+
+    test("keeps the secret check in password rooms", async () => {
+        const owner = await join(srv.url, { room: "lobby", clientId: "own" });
+        owner.send({ type: "create_room", room: "locked", password: "pw" });
+        await owner.next("room_created");
+        const query = { room: "locked", clientId: "dave", password: "pw" };
+        const first = await join(srv.url, query, from("10.0.2.1"));
+        const again = connect(srv.url, query, from("10.0.2.1"));
+        assert.equal((await again.closed).code, 4015);
+        await first.close();
+        await owner.close();
+    });
+});
+
+describe("moderation", () => {
+    let srv;
+    before(async () => (srv = await startServer({ trustProxy: true })));
+    after(() => srv.stop());
+
+    const from = (ip) => ({ headers: { "x-forwarded-for": ip } });
+
+    test("leaves a muted member able only to listen", async () => {
+        const owner = await join(srv.url, { room: "lobby", clientId: "own" });
+        const bob = await join(srv.url, { room: "lobby", clientId: "bob" });
+        owner.send({ type: "navigate", trackId: "t1", duration: 100 });
+        owner.send({ type: "mute", target: "bob" });
+        await bob.next("mutes_update");
+
+        for (const msg of [
+            { type: "chat", text: "hi" },
+            { type: "vote_skip" },
+            { type: "suggest", trackId: "t2" },
+            { type: "upvote", id: 1 },
+            { type: "profile", displayName: "Bob" },
+            { type: "avatar_url", url: "https://example.com/a.png" },
+        ]) {
+            bob.send(msg);
+            assert.equal((await bob.next("error")).code, "MUTED", msg.type);
+        }
+        const image = await sharp({
+            create: { width: 8, height: 8, channels: 3, background: "red" },
+        })
+            .png()
+            .toBuffer();
+        bob.ws.send(image);
+        assert.equal((await bob.next("error")).code, "MUTED", "binary");
+        await sleep(100);
+        assert.ok(!owner.inbox.some((m) => m.type === "avatar"));
+        await bob.close();
+        await owner.close();
+    });
+
+    test("bans the target's IP along with its clientId", async () => {
+        const owner = await join(
+            srv.url,
+            { room: "lobby", clientId: "own" },
+            from("10.1.0.1"),
+        );
+        const bob = await join(
+            srv.url,
+            { room: "lobby", clientId: "bob" },
+            from("10.1.0.2"),
+        );
+        owner.send({ type: "ban", target: "bob" });
+        assert.equal((await bob.closed).code, 4014);
+
+        // Адрес владельцу не показывается
+        const dump = JSON.stringify(owner.inbox);
+        assert.ok(!dump.includes("10.1.0.2"));
+
+        const renamed = connect(
+            srv.url,
+            { room: "lobby", clientId: "bob2" },
+            from("10.1.0.2"),
+        );
+        assert.equal((await renamed.closed).code, 4014);
+        const other = await join(
+            srv.url,
+            { room: "lobby", clientId: "carol" },
+            from("10.1.0.3"),
+        );
+        await other.close();
+        await owner.close();
+    });
+});
+
+describe("state_sync position", () => {
+    let srv;
+    before(async () => (srv = await startServer()));
+    after(() => srv.stop());
+
+    // Позицию в снапшоте считает currentPosition на момент подключения
+    const snapshot = async () => {
+        const probe = connect(srv.url, { room: "lobby", clientId: "probe" });
+        const sync = await probe.next("state_sync");
+        await probe.close();
+        return sync;
+    };
+
+    test("advances while playing and freezes on pause", async () => {
+        const dj = await join(srv.url, { room: "lobby", clientId: "dj" });
+        dj.send({ type: "hello", protocol: 2 });
+        dj.send({ type: "navigate", trackId: "t1", duration: 300 });
+        dj.send({ type: "seek", position: 30 });
+        await dj.next((m) => m.type === "state_sync" && m.position >= 30);
+
+        await sleep(300);
+        const playing = await snapshot();
+        assert.equal(playing.playing, true);
+        assert.ok(
+            playing.position >= 30.25 && playing.position < 31,
+            `position ${playing.position}`,
+        );
+        // playAt — момент, когда все должны быть на playAtPosition
+        const lead = playing.playAt - playing.serverTime;
+        assert.ok(lead > 0);
+        assert.ok(
+            Math.abs(
+                playing.playAtPosition - (playing.position + lead / 1000),
+            ) < 1e-6,
+        );
+
+        dj.send({ type: "playstate", playing: false });
+        const paused = await dj.next(
+            (m) => m.type === "state_sync" && m.playing === false,
+        );
+        await sleep(300);
+        const later = await snapshot();
+        assert.equal(later.playing, false);
+        assert.equal(later.position, paused.position);
+        assert.equal(later.playAt, undefined);
+
+        dj.send({ type: "seek", position: 5 });
+        const seeked = await dj.next(
+            (m) => m.type === "state_sync" && m.position === 5,
+        );
+        assert.equal(seeked.playing, false);
+        await dj.close();
+    });
+});
+
+describe("legacy protocol", () => {
+    let srv;
+    before(async () => (srv = await startServer()));
+    after(() => srv.stop());
+
+    test("treats a raw path as navigate", async () => {
+        const old = await join(srv.url, { room: "lobby", clientId: "old" });
+        old.send("/album/1/track/2");
+        const sync = await old.next(
+            (m) => m.type === "state_sync" && m.by === "old",
+        );
+        assert.equal(sync.trackId, "/album/1/track/2");
+        assert.equal(sync.playing, true);
+        await old.close();
+    });
+
+    test("maps playstate href and timeline seek", async () => {
+        const old = await join(srv.url, { room: "lobby", clientId: "old" });
+        // Снапшот при входе пропускаем — нужны ответы на свои сообщения
+        const synced = () =>
+            old.next((m) => m.type === "state_sync" && m.by === "old");
+        old.send("/track/9");
+        await synced();
+
+        // Кнопка показывает «play» — значит, сейчас пауза
+        old.send({ type: "playstate", href: "#play" });
+        const paused = await synced();
+        assert.equal(paused.playing, false);
+
+        old.send({ type: "timeline", seek: true, value: "42.5" });
+        const seeked = await synced();
+        assert.equal(seeked.position, 42.5);
+
+        old.send({ type: "playstate", href: "#pause" });
+        const playing = await synced();
+        assert.equal(playing.playing, true);
+        await old.close();
+    });
+
+    test("coerces numeric trackId and a seek without position", async () => {
+        const old = await join(srv.url, { room: "lobby", clientId: "old" });
+        const synced = () =>
+            old.next((m) => m.type === "state_sync" && m.by === "old");
+        old.send({ type: "navigate", trackId: 123 });
+        assert.equal((await synced()).trackId, "123");
+        old.send({ type: "navigate", path: 7 });
+        assert.equal((await synced()).trackId, "7");
+
+        old.send({ type: "seek", position: "12" });
+        assert.equal((await synced()).position, 12);
+        old.send({ type: "seek" });
+        assert.equal((await synced()).position, 0);
+        await old.close();
+    });
+
+    test("forwards unknown types but not server-only ones", async () => {
+        const peer = await join(srv.url, { room: "lobby", clientId: "peer" });
+        const old = await join(srv.url, { room: "lobby", clientId: "old" });
+        for (const type of [
+            "server_notice",
+            "roles_update",
+            "server_shutdown",
+        ]) {
+            old.send({ type, owner: "old", reconnectAfter: 999999 });
+            const error = await old.next("error");
+            assert.equal(error.code, "INVALID_MESSAGE");
+        }
+        old.send({ type: "custom_ping", value: 1 });
+        assert.equal((await peer.next("custom_ping")).value, 1);
+        assert.ok(
+            !peer.inbox.some((m) =>
+                ["server_notice", "server_shutdown"].includes(m.type),
+            ),
+        );
+        assert.ok(!peer.inbox.some((m) => m.owner === "old"));
+        await old.close();
+        await peer.close();
+    });
+
+    test("rejects the same messages from a protocol 2 client", async () => {
+        const client = await join(srv.url, { room: "lobby", clientId: "new" });
+        client.send({ type: "hello", protocol: 2 });
+        await client.next("hello");
+        client.send("/track/9");
+        assert.equal((await client.next("error")).code, "MALFORMED_JSON");
+        client.send({ type: "timeline", seek: true, value: "1" });
+        assert.equal((await client.next("error")).code, "UNKNOWN_TYPE");
+        client.send({ type: "playstate", href: "#pause" });
+        assert.equal((await client.next("error")).code, "INVALID_MESSAGE");
+        await client.close();
+    });
+});
+
+describe("audit log", () => {
+    let srv;
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "listen-along-audit-"));
+    before(
+        async () =>
+            (srv = await startServer({
+                auditDir: dir,
+                auditMaxFileBytes: 1000,
+                rateLimits: {
+                    client: { control: null },
+                    ip: { control: null },
+                },
+            })),
+    );
+    after(async () => {
+        await srv.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test("rotates a room file that outgrows auditMaxFileBytes", async () => {
+        const dj = await join(srv.url, { room: "lobby", clientId: "dj" });
+        for (let i = 0; i < 25; i++)
+            dj.send({ type: "navigate", trackId: `t${i}` });
+        await dj.next((m) => m.type === "state_sync" && m.trackId === "t24");
+        await dj.close();
+        await srv.server.close();
+
+        const read = (name) =>
+            fs
+                .readFileSync(path.join(dir, name), "utf8")
+                .trim()
+                .split("\n")
+                .map((line) => JSON.parse(line).trackId);
+        const current = read("lobby.jsonl");
+        const previous = read("lobby.jsonl.1");
+        assert.equal(current.at(-1), "t24");
+        assert.equal(previous.at(-1), `t${24 - current.length}`);
+        assert.ok(fs.statSync(path.join(dir, "lobby.jsonl")).size < 1200);
+    });
+});
+
+describe("metrics", () => {
+    let srv;
+    before(async () => (srv = await startServer()));
+    after(() => srv.stop());
+
+    const counter = async (name) => {
+        const text = await (await fetch(`${srv.httpUrl}/metrics`)).text();
+        return Number(new RegExp(`^${name} (\\d+)$`, "m").exec(text)[1]);
+    };
+
+    test("counts state_sync deliveries in the broadcast fan-out", async () => {
+        const dj = await join(srv.url, { room: "lobby", clientId: "dj" });
+        const listener = await join(srv.url, { room: "lobby", clientId: "l" });
+        const before = await counter("listen_along_broadcast_recipients_total");
+        dj.send({ type: "navigate", trackId: "t1", duration: 60 });
+        await listener.next("state_sync");
+        const after = await counter("listen_along_broadcast_recipients_total");
+        // Обоим участникам; heartbeat посередине может добавить ещё
+        assert.ok(after - before >= 2, `fan-out ${after - before}`);
+        await listener.close();
+        await dj.close();
+    });
+});
+
+describe("play history", () => {
+    let srv;
+    before(async () => (srv = await startServer({ adminToken: "admin" })));
+    after(() => srv.stop());
+
+    test("keeps client titles from running as CSV formulas", async () => {
+        const owner = await join(srv.url, { room: "lobby", clientId: "own" });
+        owner.send({
+            type: "navigate",
+            trackId: "t1",
+            duration: 90,
+            title: '=HYPERLINK("http://evil","x")',
+            artists: ["@me", "+1"],
+        });
+        await owner.next((m) => m.type === "state_sync" && m.trackId === "t1");
+        const res = await fetch(`${srv.httpUrl}/api/rooms/lobby/history.csv`, {
+            headers: { Authorization: "Bearer admin" },
+        });
+        const row = (await res.text()).trim().split("\n")[1];
+        assert.ok(
+            row.includes(`,"'=HYPERLINK(""http://evil"",""x"")",'@me; +1,90,`),
+            row,
+        );
+        await owner.close();
+    });
+});
+
+describe("avatars", () => {
+    let srv;
+    before(async () => (srv = await startServer()));
+    after(() => srv.stop());
+
+    const get = (url) =>
+        new Promise((resolve, reject) => {
+            http.get(url, (res) => {
+                const chunks = [];
+                res.on("data", (chunk) => chunks.push(chunk));
+                res.on("end", () =>
+                    resolve({ res, body: Buffer.concat(chunks) }),
+                );
+            }).on("error", reject);
+        });
+
+    test("resizes an uploaded image to a 50×50 webp", async () => {
+        const alice = await join(srv.url, { room: "lobby", clientId: "alice" });
+        const bob = await join(srv.url, { room: "lobby", clientId: "bob" });
+        const png = await sharp({
+            create: {
+                width: 200,
+                height: 120,
+                channels: 3,
+                background: "#ff0000",
+            },
+        })
+            .png()
+            .toBuffer();
+        alice.ws.send(png, { binary: true });
+
+        const update = await bob.next("avatar");
+        assert.equal(update.clientId, "alice");
+        assert.equal(update.url, `/avatars/lobby/alice.webp?v=${update.hash}`);
+        assert.equal(update.data, undefined);
+
+        const { res, body } = await get(srv.httpUrl + update.url);
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.headers["content-type"], "image/webp");
+        const meta = await sharp(body).metadata();
+        assert.equal(meta.format, "webp");
+        assert.equal(meta.width, 50);
+        assert.equal(meta.height, 50);
+
+        // Новый участник получает URL аватара в снапшоте
+        const carol = connect(srv.url, { room: "lobby", clientId: "carol" });
+        const member = await carol.next(
+            (m) => m.type === "client_joined" && m.clientId === "alice",
+        );
+        assert.equal(member.avatarUrl, update.url);
+        await Promise.all([alice.close(), bob.close(), carol.close()]);
+    });
+
+    test("reports bytes that are not an image", async () => {
+        const client = await join(srv.url, { room: "lobby", clientId: "x" });
+        client.ws.send(Buffer.from("definitely not an image"), {
+            binary: true,
+        });
+        const error = await client.next("error");
+        assert.equal(error.code, "AVATAR_PROCESSING_FAILED");
+        await client.close();
+    });
+});
+
+describe("server lifecycle", () => {
+    test("serves wss with a generated self-signed certificate", async () => {
+        const srv = await startServer({ tls: "self-signed" });
+        try {
+            assert.ok(srv.url.startsWith("wss://"));
+            const client = await join(srv.url, {
+                room: "lobby",
+                clientId: "a",
+            });
+            await client.close();
+        } finally {
+            await srv.stop();
+        }
+    });
+
+    test("answers a malformed request target with 400", async () => {
+        const srv = await startServer();
+        try {
+            const reply = await new Promise((resolve, reject) => {
+                const socket = net.connect(srv.port, "127.0.0.1", () =>
+                    socket.write("GET //[ HTTP/1.1\r\nHost: x\r\n\r\n"),
+                );
+                let data = "";
+                socket.on("data", (chunk) => {
+                    data += chunk;
+                    socket.destroy();
+                    resolve(data);
+                });
+                socket.on("error", reject);
+            });
+            assert.match(reply, /^HTTP\/1\.1 400/);
+            const res = await fetch(`${srv.httpUrl}/healthz`);
+            assert.equal(res.status, 200);
+        } finally {
+            await srv.stop();
+        }
+    });
+
+    test(
+        "close() releases log files",
+        { skip: !fs.existsSync("/proc/self/fd") },
+        async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "listen-log-"));
+            const openFds = () => fs.readdirSync("/proc/self/fd").length;
+            const before = openFds();
+            const logging = {
+                level: "info",
+                format: "text",
+                destinations: [path.join(dir, "server.log")],
+            };
+            for (let i = 0; i < 3; i++) {
+                const srv = await startServer({ logging });
+                await srv.stop();
+            }
+            assert.equal(openFds(), before);
+            assert.match(
+                fs.readFileSync(path.join(dir, "server.log"), "utf8"),
+                /INFO/,
+            );
+            fs.rmSync(dir, { recursive: true, force: true });
+        },
+    );
+
+    test("close() warns clients and closes them with 4013", async () => {
+        const srv = await startServer({ shutdownReconnectAfterMs: 1500 });
+        const client = await join(srv.url, { room: "lobby", clientId: "a" });
+        await srv.stop();
+        const notice = await client.next("server_shutdown");
+        assert.equal(notice.reconnectAfter, 1500);
+        assert.equal((await client.closed).code, 4013);
+    });
+});